@@ -0,0 +1,347 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * A balance strategy picks the remote thread that receives the next message
+ *
+ * Strategies implement `next(keys, pool)`, where `keys` are the candidate remote thread ids and
+ * `pool` is the WorkerPool or ThreadPool asking. It returns one of the keys, or undefined when
+ * there are no keys to choose from.
+ */
+
+/**
+ * Blind round-robin over the remote threads (the default)
+ */
+export class RoundRobinStrategy {
+    /**
+     *
+     * @constructor
+     */
+    constructor() {
+        this.index = 0;
+    }
+
+    /**
+     * Get the next remote key
+     * @param {String[]} keys The candidate remote thread ids
+     * @returns {String|undefined}
+     */
+    next(keys) {
+        if (keys.length === 0) {
+            return undefined;
+        }
+        if (this.index >= keys.length) {
+            this.index = 0;
+        }
+        const key = keys[this.index];
+        this.index += 1;
+        return key;
+    }
+}
+
+/**
+ * Pick the remote thread with the fewest outstanding callbacks from this thread
+ */
+export class LeastPendingStrategy {
+    /**
+     * Get the next remote key
+     * @param {String[]} keys The candidate remote thread ids
+     * @param {RemoteAwareMixin} pool The pool asking
+     * @returns {String|undefined}
+     */
+    next(keys, pool) {
+        const pending = pool.getPendingCounts();
+        let key = undefined;
+        let min = Infinity;
+        for (const id of keys) {
+            const count = pending[id] || 0;
+            if (count < min) {
+                min = count;
+                key = id;
+            }
+        }
+        return key;
+    }
+}
+
+/**
+ * Pick a random remote thread
+ */
+export class RandomStrategy {
+    /**
+     * Get the next remote key
+     * @param {String[]} keys The candidate remote thread ids
+     * @returns {String|undefined}
+     */
+    next(keys) {
+        return keys[Math.floor(Math.random() * keys.length)];
+    }
+}
+
+/**
+ * Smooth weighted round-robin, threads with a higher weight receive proportionally more messages
+ */
+export class WeightedStrategy {
+    /**
+     *
+     * @param {Object} [options]
+     * @param {Object|Function} [options.weights] A map of thread id to weight, or a function (threadId, pool) returning the weight
+     * @param {Number} [options.defaultWeight] The weight for threads without one (defaults to 1)
+     */
+    constructor(options = {}) {
+        this.weights = options.weights || {};
+        this.defaultWeight = options.defaultWeight || 1;
+        this.current = {};
+    }
+
+    /**
+     * Set the weight of a single thread
+     * @param {String} threadId The remote thread id
+     * @param {Number} weight The weight (0 to never pick the thread while others are available)
+     * @returns {void}
+     */
+    setWeight(threadId, weight) {
+        if (typeof this.weights === 'function') {
+            throw new Error('Weights are computed by a function');
+        }
+        this.weights[threadId] = weight;
+    }
+
+    /**
+     * Get the weight of a thread
+     * @param {String} threadId The remote thread id
+     * @param {RemoteAwareMixin} pool The pool asking
+     * @returns {Number}
+     */
+    getWeight(threadId, pool) {
+        const weight = typeof this.weights === 'function' ?
+            this.weights(threadId, pool) : this.weights[threadId];
+        return typeof weight === 'number' && weight >= 0 ? weight : this.defaultWeight;
+    }
+
+    /**
+     * Get the next remote key
+     * @param {String[]} keys The candidate remote thread ids
+     * @param {RemoteAwareMixin} pool The pool asking
+     * @returns {String|undefined}
+     */
+    next(keys, pool) {
+        let key = undefined;
+        let total = 0;
+        for (const id of keys) {
+            const weight = this.getWeight(id, pool);
+            this.current[id] = (this.current[id] || 0) + weight;
+            total += weight;
+            if (key === undefined || this.current[id] > this.current[key]) {
+                key = id;
+            }
+        }
+        if (key !== undefined) {
+            this.current[key] -= total;
+        }
+        // forget threads that are gone
+        for (const id in this.current) {
+            if (keys.indexOf(id) === -1) {
+                delete this.current[id];
+            }
+        }
+        return key;
+    }
+}
+
+/**
+ * Hash a string to a 32 bit unsigned integer (FNV-1a, with the murmur3 finalizer so similar
+ * strings spread over the ring)
+ * @param {String} value The string
+ * @returns {Number}
+ */
+const hashString = value => {
+    let hash = 0x811c9dc5;
+    for (let idx = 0; idx < value.length; idx++) {
+        hash ^= value.charCodeAt(idx);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+};
+
+/**
+ * Route commands with the same affinity key to the same remote thread, through a consistent-hash
+ * ring over every remote thread of the pool
+ *
+ * Each thread is placed on the ring `replicas` times, and a key goes to the first thread after
+ * its hash. Adding or removing a thread only moves the keys of the ring segments it takes or
+ * leaves. When that thread is not a candidate (ie. it is busy, or not ready) or is overloaded,
+ * the key goes to the next thread on the ring instead.
+ */
+export class ConsistentHashStrategy {
+    /**
+     *
+     * @param {Object} [options]
+     * @param {Number} [options.replicas] The number of places of each thread on the ring (defaults to 100)
+     * @param {Number} [options.maxPending] Skip a thread with this many outstanding callbacks from the pool (defaults to Infinity)
+     */
+    constructor(options = {}) {
+        this.replicas = options.replicas || 100;
+        this.maxPending = options.maxPending || Infinity;
+        this.ring = [];
+        this.ringThreads = '';
+    }
+
+    /**
+     * Build the ring again when the remote threads changed
+     * @param {String[]} threads Every remote thread id
+     * @returns {void}
+     */
+    updateRing(threads) {
+        const signature = threads.slice().sort().join(' ');
+        if (signature === this.ringThreads) {
+            return;
+        }
+        this.ringThreads = signature;
+        this.ring = [];
+        for (const id of threads) {
+            for (let replica = 0; replica < this.replicas; replica++) {
+                this.ring.push({ hash: hashString(id + '#' + replica), id });
+            }
+        }
+        this.ring.sort((a, b) => a.hash - b.hash || (a.id < b.id ? -1 : 1));
+    }
+
+    /**
+     * Get the remote threads in the order a key tries them, starting with the one that owns it
+     * @param {*} affinityKey The affinity key
+     * @param {String[]} threads Every remote thread id
+     * @returns {String[]}
+     */
+    getOwners(affinityKey, threads) {
+        this.updateRing(threads);
+        const ring = this.ring;
+        const hash = hashString(String(affinityKey));
+        // the first point at or after the hash
+        let low = 0;
+        let high = ring.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (ring[mid].hash < hash) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        const owners = [];
+        for (let idx = 0; idx < ring.length && owners.length < threads.length; idx++) {
+            const id = ring[(low + idx) % ring.length].id;
+            if (owners.indexOf(id) === -1) {
+                owners.push(id);
+            }
+        }
+        return owners;
+    }
+
+    /**
+     * Get the remote key for an affinity key
+     * @param {String[]} keys The candidate remote thread ids
+     * @param {RemoteAwareMixin} pool The pool asking
+     * @param {*} affinityKey The affinity key
+     * @returns {String|undefined}
+     */
+    next(keys, pool, affinityKey) {
+        const pending = pool.getPendingCounts();
+        let fallback = undefined;
+        for (const id of this.getOwners(affinityKey, Object.keys(pool.remotes))) {
+            if (keys.indexOf(id) === -1) {
+                continue;
+            }
+            if ((pending[id] || 0) < this.maxPending) {
+                return id;
+            }
+            if (fallback === undefined) {
+                // every candidate is overloaded
+                fallback = id;
+            }
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Wraps a plain function (keys, pool) => key as a strategy
+ */
+export class CallbackStrategy {
+    /**
+     *
+     * @param {Function} fn The function picking the next key
+     */
+    constructor(fn) {
+        this.fn = fn;
+    }
+
+    /**
+     * Get the next remote key
+     * @param {String[]} keys The candidate remote thread ids
+     * @param {RemoteAwareMixin} pool The pool asking
+     * @returns {String|undefined}
+     */
+    next(keys, pool) {
+        return this.fn(keys, pool);
+    }
+}
+
+/**
+ * The named strategies that can be given to a pool
+ * @type {Object}
+ */
+const strategies = {
+    'round-robin': RoundRobinStrategy,
+    'least-pending': LeastPendingStrategy,
+    'random': RandomStrategy,
+    'weighted': WeightedStrategy
+};
+
+/**
+ * Register a named strategy so pools can be configured with it by name
+ * @param {String} name The strategy name
+ * @param {Function} StrategyClass The strategy class, instantiated with the strategy options
+ * @returns {void}
+ * @throws TypeError on invalid argument
+ */
+export const registerStrategy = (name, StrategyClass) => {
+    if (typeof StrategyClass !== 'function') {
+        throw new TypeError('Strategy must be a class');
+    }
+    strategies[name] = StrategyClass;
+};
+
+/**
+ * Create a strategy instance
+ * @param {String|Object|Function} strategy A strategy name, a strategy instance, or a function (keys, pool) => key
+ * @param {Object} [options] Options for a named strategy
+ * @returns {Object}
+ * @throws Error on unknown strategy
+ */
+export const createStrategy = (strategy, options = {}) => {
+    if (typeof strategy === 'string') {
+        if (!(strategy in strategies)) {
+            throw new Error('Unknown balance strategy: ' + strategy);
+        }
+        return new strategies[strategy](options);
+    }
+    if (typeof strategy === 'function') {
+        return new CallbackStrategy(strategy);
+    }
+    if (strategy && typeof strategy.next === 'function') {
+        return strategy;
+    }
+    throw new Error('Invalid balance strategy');
+};
@@ -0,0 +1,199 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * The environment adapts the pools to the threading API of the platform they run on
+ *
+ * BrowserEnvironment uses the Web Worker globals (Worker, MessageChannel, MessageEvent), and is
+ * the default for WorkerPool, RemoteWorker and ThreadPool.
+ */
+export class BrowserEnvironment {
+    /**
+     * Create a worker
+     * @param {String|Function} which The worker script URL or the worker class to instantiate (for webpack support)
+     * @returns {Worker}
+     * @throws Error for invalid argument
+     */
+    createWorker(which) {
+        // if-else logic to support webpack's worker-loader
+        if (typeof which === 'string') {
+            return new Worker(which);
+        }
+        if (which instanceof Function) {
+            return new which();
+        }
+        throw new Error('Invalid Argument');
+    }
+
+    /**
+     * Bind listeners to the events of a worker created with createWorker
+     * @param {Worker} worker The worker
+     * @param {Object} listeners
+     * @param {Function} listeners.message Receives message events
+     * @param {Function} listeners.messageerror Receives messages that could not be deserialized
+     * @param {Function} listeners.error Receives uncaught errors
+     * @param {Function} listeners.exit Receives the exit code when the worker stops by itself (never in a browser)
+     * @returns {void}
+     */
+    bindWorker(worker, listeners) {
+        worker.onmessage = evt => listeners.message(evt);
+        worker.onmessageerror = evt => listeners.messageerror(evt);
+        worker.onerror = err => listeners.error(err);
+    }
+
+    /**
+     * Create, or connect to, a shared worker
+     *
+     * The tabs of an origin that use the same script and name share the worker. Only a script URL
+     * can be given: a worker class (ie. from webpack's worker-loader) does not pass the name on,
+     * so every worker would connect to the same shared worker.
+     *
+     * @param {String} which The worker script URL
+     * @param {String} name The name of the shared worker
+     * @returns {SharedWorker}
+     * @throws Error for invalid argument
+     */
+    createSharedWorker(which, name) {
+        if (typeof which !== 'string') {
+            throw new Error('Shared workers need the URL of the worker script');
+        }
+        return new SharedWorker(which, { name });
+    }
+
+    /**
+     * Bind listeners to the port of a shared worker created with createSharedWorker
+     * @param {SharedWorker} worker The shared worker
+     * @param {Object} listeners The listeners, as for bindWorker
+     * @returns {void}
+     */
+    bindSharedWorker(worker, listeners) {
+        worker.port.onmessage = evt => listeners.message(evt);
+        worker.port.onmessageerror = evt => listeners.messageerror(evt);
+        // only for a script that fails to load, errors of a running shared worker stay in it
+        worker.onerror = err => listeners.error(err);
+    }
+
+    /**
+     * See if a worker context (`self`) is the global scope of a shared worker
+     * @param {Object} context The worker context
+     * @returns {boolean}
+     */
+    isSharedWorkerContext(context) {
+        return typeof SharedWorkerGlobalScope !== 'undefined' && context instanceof SharedWorkerGlobalScope;
+    }
+
+    /**
+     * Listen for the pages connecting to a shared worker
+     * @param {Object} context The shared worker context (`self`)
+     * @param {Function} fn Receives the MessagePort of each connection
+     * @returns {void}
+     */
+    addConnectListener(context, fn) {
+        context.addEventListener('connect', evt => fn(evt.ports[0]));
+    }
+
+    /**
+     * Hold a Web Lock until this page is gone, so the shared workers waiting on it can tell
+     * @param {String} name The name of the lock
+     * @returns {Function} releases the lock
+     */
+    holdLock(name) {
+        if (typeof navigator === 'undefined' || !navigator.locks) {
+            return () => {};
+        }
+        let release = null;
+        const held = new Promise(resolve => {
+            release = resolve;
+        });
+        navigator.locks.request(name, () => held);
+        return release;
+    }
+
+    /**
+     * Wait for a Web Lock held by a page to be released, ie. because the page was closed
+     * @param {String} name The name of the lock
+     * @returns {Promise} resolves once it is released (never, where Web Locks are not available)
+     */
+    waitForLock(name) {
+        if (typeof navigator === 'undefined' || !navigator.locks) {
+            return new Promise(() => {});
+        }
+        return navigator.locks.request(name, () => undefined);
+    }
+
+    /**
+     * Create a two-way message channel
+     * @returns {MessageChannel}
+     */
+    createMessageChannel() {
+        return new MessageChannel();
+    }
+
+    /**
+     * Create a message event
+     * @param {String} type The type of event
+     * @param {Object} init The event init data ({data, ports})
+     * @returns {MessageEvent}
+     */
+    createMessageEvent(type, init) {
+        return new MessageEvent(type, init);
+    }
+
+    /**
+     * Listen for messages on a worker context (`self`) or a MessagePort
+     * @param {Object} target The worker context or port
+     * @param {Function} fn Receives message events
+     * @returns {void}
+     */
+    addMessageListener(target, fn) {
+        target.addEventListener('message', fn);
+    }
+
+    /**
+     * Listen for errors on a worker context (`self`) or a MessagePort
+     * @param {Object} target The worker context or port
+     * @param {Function} fn Receives the errors
+     * @returns {void}
+     */
+    addErrorListener(target, fn) {
+        target.addEventListener('error', fn);
+    }
+
+    /**
+     * Resolve the URL of a module to load into the worker this runs in
+     * @param {String} url The module URL, relative URLs are resolved against the worker script
+     * @returns {String}
+     */
+    resolveModuleUrl(url) {
+        return typeof location !== 'undefined' ? new URL(url, location.href).href : url;
+    }
+
+    /**
+     * Load a module into the worker this runs in
+     * @param {String} url The resolved module URL (see resolveModuleUrl)
+     * @param {String} [type] 'module' to import an ES module, or 'classic' to load a script with importScripts (defaults to 'module')
+     * @returns {Promise} resolves with the exports of an ES module (nothing for a script)
+     */
+    importModule(url, type = 'module') {
+        return new Promise(resolve => {
+            if (type === 'classic') {
+                importScripts(url);
+                resolve();
+                return;
+            }
+            resolve(import(/* webpackIgnore: true */ url));
+        });
+    }
+}
+
+/**
+ * The shared default environment
+ * @type {BrowserEnvironment}
+ */
+export const browserEnvironment = new BrowserEnvironment();
@@ -0,0 +1,178 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * A codec turns the messages between threads into what is posted, and back
+ *
+ * Codecs have a `name`, which every thread of a pool has to agree on, `encode(data)` and
+ * `decode(encoded)`. A codec with `raw` set posts messages as they are, for the structured clone
+ * algorithm of postMessage. An ArrayBuffer returned by encode is transferred.
+ */
+
+/**
+ * Post messages as they are, copied by the structured clone algorithm (the default)
+ *
+ * Keeps Dates, Maps, Sets, typed arrays, BigInts and undefined.
+ */
+export class StructuredCloneCodec {
+    /**
+     *
+     * @constructor
+     */
+    constructor() {
+        this.name = 'structured-clone';
+        this.raw = true;
+    }
+
+    /**
+     * Encode a message
+     * @param {*} data The message
+     * @returns {*}
+     */
+    encode(data) {
+        return data;
+    }
+
+    /**
+     * Decode a message
+     * @param {*} encoded The encoded message
+     * @returns {*}
+     */
+    decode(encoded) {
+        return encoded;
+    }
+}
+
+/**
+ * Post messages as JSON strings
+ */
+export class JsonCodec {
+    /**
+     *
+     * @constructor
+     */
+    constructor() {
+        this.name = 'json';
+        this.raw = false;
+    }
+
+    /**
+     * Encode a message
+     * @param {*} data The message
+     * @returns {String}
+     */
+    encode(data) {
+        return JSON.stringify(data);
+    }
+
+    /**
+     * Decode a message
+     * @param {String} encoded The encoded message
+     * @returns {*}
+     */
+    decode(encoded) {
+        return JSON.parse(encoded);
+    }
+}
+
+/**
+ * The named codecs that can be given to a pool
+ * @type {Object}
+ */
+const codecs = {
+    'structured-clone': StructuredCloneCodec,
+    'json': JsonCodec
+};
+
+/**
+ * Register a named codec so pools can be configured with it by name
+ * @param {String} name The codec name
+ * @param {Function} CodecClass The codec class
+ * @returns {void}
+ * @throws TypeError on invalid argument
+ */
+export const registerCodec = (name, CodecClass) => {
+    if (typeof CodecClass !== 'function') {
+        throw new TypeError('Codec must be a class');
+    }
+    codecs[name] = CodecClass;
+};
+
+/**
+ * Create a codec instance
+ * @param {String|Object} codec A codec name, or a codec instance ({name, encode, decode})
+ * @returns {Object}
+ * @throws Error on unknown codec
+ */
+export const createCodec = codec => {
+    if (typeof codec === 'string') {
+        if (!(codec in codecs)) {
+            throw new Error('Unknown message codec: ' + codec);
+        }
+        return new codecs[codec]();
+    }
+    if (codec && typeof codec.name === 'string' &&
+        typeof codec.encode === 'function' && typeof codec.decode === 'function') {
+        return codec;
+    }
+    throw new Error('Invalid message codec');
+};
+
+/**
+ * Get the size of an encoded message, when it is a string or binary
+ * @param {*} encoded The encoded message
+ * @returns {Number} the length of a string or the bytes of a buffer, 0 for anything else
+ */
+export const encodedSize = encoded => {
+    if (typeof encoded === 'string') {
+        return encoded.length;
+    }
+    if (encoded && typeof encoded.byteLength === 'number') {
+        return encoded.byteLength;
+    }
+    return 0;
+};
+
+/**
+ * Estimate the size of a message copied by the structured clone algorithm, which is not
+ * measured by postMessage
+ *
+ * Strings count their length, other primitives the length of their string form, buffers and
+ * typed arrays their bytes, and objects their keys and values, each object once.
+ *
+ * @param {*} value The message
+ * @param {Set} [seen] The objects counted already
+ * @returns {Number} the estimated size, in characters or bytes
+ */
+export const cloneSize = (value, seen = new Set()) => {
+    if (typeof value === 'string') {
+        return value.length;
+    }
+    if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+        return String(value).length;
+    }
+    if (seen.has(value)) {
+        return 0;
+    }
+    seen.add(value);
+    if (typeof value.byteLength === 'number') {
+        return value.byteLength;
+    }
+    if (value instanceof Date) {
+        return 8;
+    }
+    if (value instanceof Map || value instanceof Set) {
+        let size = 0;
+        value.forEach((item, key) => {
+            size += (value instanceof Map ? cloneSize(key, seen) : 0) + cloneSize(item, seen);
+        });
+        return size;
+    }
+    return Object.keys(value).reduce((size, key) => size + key.length + cloneSize(value[key], seen), 0);
+};
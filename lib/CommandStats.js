@@ -0,0 +1,109 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * The number of recent latencies kept to compute the 95th percentile
+ * @type {Number}
+ */
+const LATENCY_SAMPLES = 1000;
+
+/**
+ * Get the 95th percentile of a list of latencies
+ * @param {Number[]} samples The latencies
+ * @returns {Number}
+ */
+const percentile95 = samples => {
+    if (samples.length === 0) {
+        return 0;
+    }
+    const sorted = samples.slice().sort((a, b) => a - b);
+    return sorted[Math.ceil(sorted.length * 0.95) - 1];
+};
+
+/**
+ * Counters for the commands sent to one thread (or to every thread, or executed by a thread)
+ *
+ * The average and max latency cover every completed command, the 95th percentile covers the
+ * last LATENCY_SAMPLES of them.
+ */
+export class CommandStats {
+    /**
+     *
+     * @constructor
+     */
+    constructor() {
+        this.sent = 0;
+        this.completed = 0;
+        this.failed = 0;
+        this.bytesSent = 0;
+        this.lastActivity = null;
+        this.totalLatency = 0;
+        this.maxLatency = 0;
+        this.samples = [];
+        this.sampleIndex = 0;
+    }
+
+    /**
+     * Count a command that was sent
+     * @returns {void}
+     */
+    recordSent() {
+        this.sent += 1;
+        this.lastActivity = Date.now();
+    }
+
+    /**
+     * Count a command that finished
+     * @param {Number} latency Milliseconds from sending the command to its reply
+     * @param {Boolean} failed Whether the command failed (error, timeout, abort, crash)
+     * @returns {void}
+     */
+    recordDone(latency, failed) {
+        this.lastActivity = Date.now();
+        if (failed) {
+            this.failed += 1;
+            return;
+        }
+        this.completed += 1;
+        this.totalLatency += latency;
+        this.maxLatency = Math.max(this.maxLatency, latency);
+        this.samples[this.sampleIndex] = latency;
+        this.sampleIndex = (this.sampleIndex + 1) % LATENCY_SAMPLES;
+    }
+
+    /**
+     * Count the bytes of a message that was sent
+     * @param {Number} bytes The size of the message
+     * @returns {void}
+     */
+    recordBytes(bytes) {
+        this.bytesSent += bytes;
+    }
+
+    /**
+     * Get the statistics as a plain object
+     * @param {Number} inFlight The number of commands waiting on a reply
+     * @returns {Object}
+     */
+    toJSON(inFlight = 0) {
+        return {
+            sent: this.sent,
+            completed: this.completed,
+            failed: this.failed,
+            inFlight,
+            latency: {
+                average: this.completed === 0 ? 0 : this.totalLatency / this.completed,
+                p95: percentile95(this.samples),
+                max: this.maxLatency
+            },
+            bytesSent: this.bytesSent,
+            lastActivity: this.lastActivity
+        };
+    }
+}
@@ -0,0 +1,122 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * An async iterable over the progress updates (or partial results) of a command
+ *
+ *     const stream = pool.streamCommand('encodeVideo', [chunks]);
+ *     for await (const part of stream) {
+ *         append(part);
+ *     }
+ *     const summary = await stream.result;
+ *
+ * Leaving the loop early cancels the command.
+ */
+export class CommandStream {
+    /**
+     *
+     * @constructor
+     */
+    constructor() {
+        this.chunks = [];
+        this.waiting = null;
+        this.done = false;
+        this.error = null;
+        this.result = null;
+        this.cancel = () => false;
+    }
+
+    /**
+     * Attach the command promise, which ends the stream when it settles
+     * @param {Promise} promise The command promise, from sendCommand
+     * @param {Function} cancel Cancels the command
+     * @returns {void}
+     */
+    attach(promise, cancel) {
+        this.result = promise;
+        this.cancel = cancel;
+        promise.then(() => this.end(), err => this.end(err));
+    }
+
+    /**
+     * Add a chunk to the stream
+     * @param {*} chunk The progress update or partial result
+     * @returns {void}
+     */
+    push(chunk) {
+        if (this.done) {
+            return;
+        }
+        if (this.waiting) {
+            const waiting = this.waiting;
+            this.waiting = null;
+            waiting.resolve({ value: chunk, done: false });
+            return;
+        }
+        this.chunks.push(chunk);
+    }
+
+    /**
+     * End the stream
+     * @param {Error} [error] Makes the iteration throw once the buffered chunks are consumed
+     * @returns {void}
+     */
+    end(error = null) {
+        if (this.done) {
+            return;
+        }
+        this.done = true;
+        this.error = error;
+        if (this.waiting) {
+            const waiting = this.waiting;
+            this.waiting = null;
+            if (error) {
+                waiting.reject(error);
+            } else {
+                waiting.resolve({ value: undefined, done: true });
+            }
+        }
+    }
+
+    /**
+     * Get the next chunk
+     * @returns {Promise}
+     */
+    next() {
+        if (this.chunks.length !== 0) {
+            return Promise.resolve({ value: this.chunks.shift(), done: false });
+        }
+        if (this.done) {
+            return this.error ? Promise.reject(this.error) : Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+        });
+    }
+
+    /**
+     * Stop iterating, cancelling the command if it is still running
+     * @returns {Promise}
+     */
+    return() {
+        if (!this.done) {
+            this.cancel();
+            this.chunks = [];
+            this.end();
+        }
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    /**
+     * @returns {CommandStream}
+     */
+    [Symbol.asyncIterator]() {
+        return this;
+    }
+}
@@ -0,0 +1,106 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local libs
+import { CommandNotFoundError, WorkerCrashedError } from './Errors.js';
+
+/**
+ * Helpers to split data into chunks for WorkerPool.map and WorkerPool.reduce, and to put the
+ * results back together
+ */
+
+/**
+ * See if a value is a typed array (Uint8Array, Float32Array, etc.)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isTypedArray = value => ArrayBuffer.isView(value) && !(value instanceof DataView);
+
+/**
+ * Split a length into chunk ranges
+ * @param {Number} length The number of items
+ * @param {Number} chunkSize The number of items in a chunk
+ * @returns {{start: Number, end: Number}[]}
+ */
+export const chunkRanges = (length, chunkSize) => {
+    const ranges = [];
+    for (let start = 0; start < length; start += chunkSize) {
+        ranges.push({ start, end: Math.min(length, start + chunkSize) });
+    }
+    return ranges;
+};
+
+/**
+ * Copy a chunk out of the items
+ *
+ * Typed arrays are copied into a buffer of their own, so the chunk can be transferred to a
+ * worker without touching the items.
+ *
+ * @param {Array|TypedArray} items The items
+ * @param {{start: Number, end: Number}} range The chunk range
+ * @returns {{chunk: Array|TypedArray, transferList: ArrayBuffer[]}}
+ */
+export const sliceChunk = (items, range) => {
+    const chunk = items.slice(range.start, range.end);
+    return { chunk, transferList: isTypedArray(chunk) ? [chunk.buffer] : [] };
+};
+
+/**
+ * Join chunk results into one result
+ *
+ * Typed array results are joined into one typed array of the type of the first, array results
+ * are concatenated, and any other result is added as one item.
+ *
+ * @param {Array} results The chunk results
+ * @param {Array|TypedArray} items The items the chunks were taken from
+ * @returns {Array|TypedArray}
+ */
+export const joinResults = (results, items) => {
+    if (results.length === 0) {
+        return isTypedArray(items) ? new items.constructor(0) : [];
+    }
+    if (results.every(isTypedArray)) {
+        const length = results.reduce((total, result) => total + result.length, 0);
+        const joined = new results[0].constructor(length);
+        let offset = 0;
+        for (const result of results) {
+            joined.set(result, offset);
+            offset += result.length;
+        }
+        return joined;
+    }
+    return results.reduce((joined, result) => joined.concat(
+        Array.isArray(result) || isTypedArray(result) ? Array.from(result) : [result]), []);
+};
+
+/**
+ * See if a failed command can be tried again: its worker crashed, or the command threw (the
+ * error came back from a worker, with its `thread`)
+ *
+ * Errors of the pool itself (a timeout, an abort, a full queue, a terminated or draining pool)
+ * and commands that no worker has are final.
+ *
+ * @param {*} err The error
+ * @returns {boolean}
+ */
+export const isRetryable = err => err instanceof WorkerCrashedError ||
+    (err instanceof Error && typeof err.thread === 'string' && !(err instanceof CommandNotFoundError));
+
+/**
+ * Run a command, trying it again when it fails with a retryable error (see isRetryable)
+ * @param {Function} send Sends the command, returning the command promise
+ * @param {Number} retries How many times to try again
+ * @returns {Promise}
+ */
+export const withRetries = (send, retries) => send().catch(err => {
+    if (retries > 0 && isRetryable(err)) {
+        return withRetries(send, retries - 1);
+    }
+    return Promise.reject(err);
+});
@@ -0,0 +1,167 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local libs
+import * as errors from './Errors.js';
+
+/**
+ * Marks a payload as a serialized error
+ * @type {string}
+ */
+const ERROR_MARKER = '__workerpoolError';
+
+/**
+ * Properties that are serialized on their own, and not copied as custom fields
+ * @type {String[]}
+ */
+const RESERVED = ['name', 'message', 'stack', 'code', 'cause', 'thread'];
+
+/**
+ * How deep a cause chain is followed
+ * @type {Number}
+ */
+const MAX_CAUSE_DEPTH = 16;
+
+/**
+ * The error classes that can be rebuilt on the receiving side, by name
+ * @type {Object}
+ */
+const registry = {};
+
+/**
+ * Register an error class, so errors with its name are rebuilt as instances of it
+ *
+ * Both sides of the thread boundary have to register the class. Instances are rebuilt without
+ * calling the constructor.
+ *
+ * @param {Function} ErrorClass The error class
+ * @param {String} [name] The error name (defaults to the class name)
+ * @returns {void}
+ * @throws TypeError on invalid argument
+ */
+export const registerErrorClass = (ErrorClass, name = ErrorClass.name) => {
+    if (typeof ErrorClass !== 'function') {
+        throw new TypeError('Error class must be a function');
+    }
+    registry[name] = ErrorClass;
+};
+
+[Error, TypeError, RangeError, SyntaxError, ReferenceError, EvalError, URIError]
+    .forEach(ErrorClass => registerErrorClass(ErrorClass));
+Object.keys(errors).forEach(name => registerErrorClass(errors[name], name));
+
+/**
+ * See if a value is a serialized error
+ * @param {*} value
+ * @returns {boolean}
+ */
+export const isSerializedError = value =>
+    !!value && typeof value === 'object' && value[ERROR_MARKER] === true;
+
+/**
+ * Serialize an error to a structured-clone and JSON safe object
+ *
+ * Keeps the name, message, stack, code, cause chain and custom enumerable fields. A thrown value
+ * that isn't an error (ie. `throw null`) is wrapped, so it is still told apart from a result.
+ *
+ * @param {*} error The error
+ * @param {String} [threadId] The id of the thread the error was thrown in
+ * @param {Number} [depth] The current cause depth
+ * @returns {*}
+ */
+export const serializeError = (error, threadId = null, depth = 0) => {
+    if (isSerializedError(error)) {
+        return error;
+    }
+    if (!(error instanceof Error)) {
+        return { [ERROR_MARKER]: true, value: error, thread: threadId };
+    }
+    const data = {
+        [ERROR_MARKER]: true,
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+        thread: error.thread || threadId,
+        fields: {}
+    };
+    if (error.code !== undefined) {
+        data.code = error.code;
+    }
+    if (error.cause !== undefined && depth < MAX_CAUSE_DEPTH) {
+        data.cause = serializeError(error.cause, threadId, depth + 1);
+    }
+    for (const key of Object.keys(error)) {
+        if (RESERVED.indexOf(key) === -1 && typeof error[key] !== 'function') {
+            data.fields[key] = error[key] instanceof Error ?
+                serializeError(error[key], threadId, depth + 1) : error[key];
+        }
+    }
+    return data;
+};
+
+/**
+ * Serialize an error with only its name, message and stack, for an error (or a thrown value)
+ * that serializeError keeps something of that can't be cloned, like a function or a socket
+ * @param {*} error The error
+ * @param {String} [threadId] The id of the thread the error was thrown in
+ * @returns {Object}
+ */
+export const serializeBareError = (error, threadId = null) => {
+    const isError = error instanceof Error;
+    return {
+        [ERROR_MARKER]: true,
+        name: isError ? String(error.name) : 'Error',
+        message: isError ? String(error.message) : 'Uncloneable value thrown: ' + Object.prototype.toString.call(error),
+        stack: isError && typeof error.stack === 'string' ? error.stack : undefined,
+        thread: (isError && typeof error.thread === 'string' && error.thread) || threadId,
+        fields: {}
+    };
+};
+
+/**
+ * Rebuild an error serialized with serializeError
+ *
+ * The error is an instance of the class registered for its name (or Error), and its stack ends
+ * with a marker naming the thread that threw it. A wrapped value that wasn't an error is
+ * returned as it was thrown. Values that aren't serialized errors are returned as they are.
+ *
+ * @param {*} data The serialized error
+ * @returns {*}
+ */
+export const deserializeError = data => {
+    if (!isSerializedError(data)) {
+        return data;
+    }
+    if (!('name' in data)) {
+        return data.value;
+    }
+    const ErrorClass = registry[data.name] || Error;
+    const error = Object.create(ErrorClass.prototype);
+    for (const key in data.fields) {
+        error[key] = deserializeError(data.fields[key]);
+    }
+    Object.defineProperty(error, 'message', { value: data.message, writable: true, configurable: true });
+    if (error.name !== data.name) {
+        error.name = data.name;
+    }
+    if (data.code !== undefined) {
+        error.code = data.code;
+    }
+    if (data.cause !== undefined) {
+        Object.defineProperty(error, 'cause', { value: deserializeError(data.cause), writable: true, configurable: true });
+    }
+    error.thread = data.thread;
+    Object.defineProperty(error, 'stack', {
+        value: (data.stack || data.name + ': ' + data.message) +
+            '\n    at <remote thread ' + data.thread + '>',
+        writable: true,
+        configurable: true
+    });
+    return error;
+};
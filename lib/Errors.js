@@ -0,0 +1,183 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Base class for errors raised by the pool while routing a command
+ */
+export class CommandError extends Error {
+    /**
+     * @param {String} message The error message
+     * @param {String} [callbackId] The callback id of the command that failed
+     */
+    constructor(message, callbackId = null) {
+        super(message);
+        this.name = 'CommandError';
+        this.callbackId = callbackId;
+    }
+}
+
+/**
+ * Raised by a thread that received a command it has not registered
+ */
+export class CommandNotFoundError extends CommandError {
+    /**
+     * @param {String} command The name of the command
+     * @param {String} [callbackId] The callback id of the command
+     */
+    constructor(command, callbackId = null) {
+        super('Command not found: ' + command, callbackId);
+        this.name = 'CommandNotFoundError';
+        this.code = 'ERR_COMMAND_NOT_FOUND';
+        this.command = command;
+    }
+}
+
+/**
+ * Raised when a command does not receive a reply within its timeout
+ */
+export class TimeoutError extends CommandError {
+    /**
+     * @param {Number} timeout The timeout that elapsed, in milliseconds
+     * @param {String} [callbackId] The callback id of the command that timed out
+     */
+    constructor(timeout, callbackId = null) {
+        super('Command timed out after ' + timeout + 'ms', callbackId);
+        this.name = 'TimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Raised when a command is cancelled through an AbortSignal or cancelCommand
+ */
+export class AbortError extends CommandError {
+    /**
+     * @param {String} [callbackId] The callback id of the command that was aborted
+     * @param {*} [reason] The abort reason given to the signal, if any
+     */
+    constructor(callbackId = null, reason = undefined) {
+        super('Command was aborted', callbackId);
+        this.name = 'AbortError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Raised for commands that were in flight on a worker that crashed
+ */
+export class WorkerCrashedError extends CommandError {
+    /**
+     * @param {String} threadId The id of the worker that crashed
+     * @param {*} [error] The error reported by the worker, if any
+     * @param {String} [callbackId] The callback id of the command that was lost
+     */
+    constructor(threadId, error = null, callbackId = null) {
+        super('Worker thread, ' + threadId + ', crashed', callbackId);
+        this.name = 'WorkerCrashedError';
+        this.threadId = threadId;
+        this.error = error;
+    }
+}
+
+/**
+ * Raised for commands sent while the pool queue is full
+ */
+export class QueueFullError extends CommandError {
+    /**
+     * @param {Number} maxQueueSize The size limit of the queue
+     * @param {String} [callbackId] The callback id of the rejected command
+     */
+    constructor(maxQueueSize, callbackId = null) {
+        super('Command queue is full (' + maxQueueSize + ' waiting)', callbackId);
+        this.name = 'QueueFullError';
+        this.maxQueueSize = maxQueueSize;
+    }
+}
+
+/**
+ * Raised for commands that were waiting when the pool was terminated, or sent after
+ */
+export class PoolTerminatedError extends CommandError {
+    /**
+     * @param {String} [callbackId] The callback id of the command
+     */
+    constructor(callbackId = null) {
+        super('Worker pool was terminated', callbackId);
+        this.name = 'PoolTerminatedError';
+    }
+}
+
+/**
+ * Raised by the HTTP client for a response with an error status
+ */
+export class HttpError extends Error {
+    /**
+     * @param {Number} status The HTTP status
+     * @param {String} statusText The HTTP status text
+     * @param {String} url The URL requested
+     * @param {*} [body] The response body (JSON parsed when the response is JSON)
+     */
+    constructor(status, statusText, url, body = null) {
+        super('HTTP ' + status + (statusText ? ' ' + statusText : '') + ': ' + url);
+        this.name = 'HttpError';
+        this.status = status;
+        this.statusText = statusText;
+        this.url = url;
+        this.body = body;
+    }
+}
+
+/**
+ * Raised by the HTTP client for an attempt that got no response in time
+ */
+export class HttpTimeoutError extends Error {
+    /**
+     * @param {Number} timeout The timeout that elapsed, in milliseconds
+     * @param {String} url The URL requested
+     */
+    constructor(timeout, url) {
+        super('Request timed out after ' + timeout + 'ms: ' + url);
+        this.name = 'HttpTimeoutError';
+        this.timeout = timeout;
+        this.url = url;
+    }
+}
+
+/**
+ * Raised by a worker whose message codec is not the one of the pool that spawned it
+ */
+export class CodecMismatchError extends Error {
+    /**
+     * @param {String} expected The codec of the pool
+     * @param {String} actual The codec of the worker
+     */
+    constructor(expected, actual) {
+        super('Message codec mismatch: the pool uses ' + expected + ', the worker uses ' + actual);
+        this.name = 'CodecMismatchError';
+        this.expected = expected;
+        this.actual = actual;
+    }
+}
+
+/**
+ * Raised for a worker that did not acknowledge its identity and sibling ports in time, ie. because
+ * its script failed to load
+ */
+export class ReadyTimeoutError extends Error {
+    /**
+     * @param {String} threadId The id of the worker
+     * @param {Number} timeout The timeout that elapsed, in milliseconds
+     */
+    constructor(threadId, timeout) {
+        super('Worker thread, ' + threadId + ', was not ready after ' + timeout + 'ms');
+        this.name = 'ReadyTimeoutError';
+        this.threadId = threadId;
+        this.timeout = timeout;
+    }
+}
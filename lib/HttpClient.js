@@ -0,0 +1,319 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local libs
+import { HttpError, HttpTimeoutError } from './Errors.js';
+
+/**
+ * Client defaults
+ * @type {Object}
+ */
+const HTTP_DEFAULTS = {
+    responseType: 'auto',
+    timeout: 0,
+    retries: 0,
+    retryDelay: 200,
+    maxRetryDelay: 5000,
+    retryOn: status => status >= 500
+};
+
+/**
+ * The response types the client can read
+ * @type {String[]}
+ */
+const RESPONSE_TYPES = ['auto', 'json', 'text', 'arraybuffer', 'blob'];
+
+/**
+ * The methods a request can be sent twice with, so network errors are retried by default
+ * @type {String[]}
+ */
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+/**
+ * Lower case the names of a headers object
+ * @param {Object} headers The headers
+ * @returns {Object}
+ */
+const normalizeHeaders = (headers = {}) => Object.keys(headers).reduce((normalized, key) => {
+    normalized[key.toLowerCase()] = headers[key];
+    return normalized;
+}, {});
+
+/**
+ * See if a request body is a plain object or array, to be sent as JSON
+ * @param {*} body The request body
+ * @returns {boolean}
+ */
+const isJsonBody = body => body !== null && typeof body === 'object' &&
+    (Array.isArray(body) || Object.getPrototypeOf(body) === Object.prototype);
+
+/**
+ * Read a response body
+ * @param {Response} response The fetch response
+ * @param {String} responseType 'auto', 'json', 'text', 'arraybuffer' or 'blob'
+ * @returns {Promise}
+ */
+const readBody = (response, responseType) => {
+    if (responseType === 'arraybuffer') {
+        return response.arrayBuffer();
+    }
+    if (responseType === 'blob') {
+        return response.blob();
+    }
+    const contentType = response.headers.get('content-type') || '';
+    return response.text().then(text => {
+        if (responseType === 'text' || (responseType === 'auto' && contentType.indexOf('json') === -1)) {
+            return text;
+        }
+        if (text === '') {
+            return null;
+        }
+        if (responseType === 'auto') {
+            try {
+                return JSON.parse(text);
+            } catch (err) {
+                return text;
+            }
+        }
+        return JSON.parse(text);
+    });
+};
+
+/**
+ * Wait before a retry
+ * @param {Number} delay Milliseconds to wait
+ * @returns {Promise}
+ */
+const sleep = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+/**
+ * A Promise based HTTP client on top of fetch
+ *
+ * Failed requests (5xx responses and network errors, timeouts included) are retried with an
+ * exponential backoff, when `retries` is set. Network errors are only retried for idempotent
+ * requests, since the server may have handled the request before the connection failed. Responses with an error status reject with an
+ * HttpError holding the status and the body.
+ *
+ * Hooks run before each request (`beforeRequest`, called with the request options, may return
+ * new ones) and after each response (`afterResponse`, called with the fetch Response and the
+ * request options, may return a new Response).
+ */
+export class HttpClient {
+    /**
+     *
+     * @param {Object} [options] Defaults for every request
+     * @param {Object} [options.headers] Headers sent with every request
+     * @param {String} [options.responseType] 'json', 'text', 'arraybuffer', 'blob', or 'auto' for JSON when the response says it is JSON and text otherwise (defaults to 'auto')
+     * @param {Number} [options.timeout] Abort an attempt after this many milliseconds (defaults to 0, no timeout)
+     * @param {Number} [options.retries] How many times to retry a failed request (defaults to 0)
+     * @param {Number} [options.retryDelay] The delay before the first retry, doubled for each retry (defaults to 200)
+     * @param {Number} [options.maxRetryDelay] The longest delay before a retry (defaults to 5000)
+     * @param {Function} [options.retryOn] Whether to retry a response, called with the status (defaults to 5xx)
+     * @param {boolean} [options.idempotent] Whether to retry network errors and timeouts (defaults to true for GET, HEAD, OPTIONS, PUT and DELETE)
+     * @param {Function} [options.fetch] The fetch function (defaults to the global fetch)
+     * @throws TypeError when no fetch function is given and there is no global fetch
+     */
+    constructor(options = {}) {
+        if (options.fetch !== undefined && typeof options.fetch !== 'function') {
+            throw new TypeError('The fetch option of the HTTP client must be a function');
+        }
+        if (!options.fetch && typeof globalThis.fetch !== 'function') {
+            throw new TypeError('The HTTP client needs fetch: this environment has no global fetch, pass one with the fetch option');
+        }
+        this.defaults = Object.assign({}, HTTP_DEFAULTS, options);
+        this.headers = normalizeHeaders(options.headers);
+        this.hooks = { beforeRequest: [], afterResponse: [] };
+        this.fetch = options.fetch || ((url, init) => globalThis.fetch(url, init));
+    }
+
+    /**
+     * Set a header sent with every request
+     * @param {String} name The header name
+     * @param {String|null} value The header value, null to remove the header
+     * @returns {void}
+     */
+    setHeader(name, value) {
+        name = name.toLowerCase();
+        if (value === null || value === undefined) {
+            delete this.headers[name];
+            return;
+        }
+        this.headers[name] = value;
+    }
+
+    /**
+     * Add a hook
+     * @param {String} type 'beforeRequest' or 'afterResponse'
+     * @param {Function} fn The hook
+     * @returns {void}
+     * @throws TypeError on invalid argument
+     */
+    addHook(type, fn) {
+        if (!(type in this.hooks)) {
+            throw new TypeError('Unknown HTTP hook: ' + type);
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError('HTTP hook must be a function');
+        }
+        this.hooks[type].push(fn);
+    }
+
+    /**
+     * Make a request
+     * @param {Object} options Request options, and any of the client options for this request alone
+     * @param {String} options.url The URL
+     * @param {String} [options.method] The HTTP method (defaults to 'GET')
+     * @param {*} [options.body] The request body, plain objects and arrays are sent as JSON
+     * @param {Object} [options.headers] Request headers
+     * @param {AbortSignal} [options.signal] Abort the request when this signal is aborted
+     * @param {String} [options.credentials] The fetch credentials mode
+     * @returns {Promise} resolves with the response body
+     */
+    request(options) {
+        let request = Object.assign({}, this.defaults, options, {
+            method: (options.method || 'GET').toUpperCase(),
+            headers: Object.assign({}, this.headers, normalizeHeaders(options.headers))
+        });
+        if (RESPONSE_TYPES.indexOf(request.responseType) === -1) {
+            return Promise.reject(new TypeError('Unknown response type: ' + request.responseType));
+        }
+        if (isJsonBody(request.body)) {
+            request.body = JSON.stringify(request.body);
+            if (!('content-type' in request.headers)) {
+                request.headers['content-type'] = 'application/json';
+            }
+        }
+        return this.hooks.beforeRequest.reduce((promise, hook) => promise.then(request =>
+            Promise.resolve(hook(request)).then(replaced => replaced || request)), Promise.resolve(request))
+            .then(request => this.attempt(request, 0));
+    }
+
+    /**
+     * Make a GET request
+     * @param {String} url The URL
+     * @param {Object} [options] Request options
+     * @returns {Promise}
+     */
+    get(url, options = {}) {
+        return this.request(Object.assign({}, options, { url, method: 'GET' }));
+    }
+
+    /**
+     * Make a POST request
+     * @param {String} url The URL
+     * @param {*} [body] The request body
+     * @param {Object} [options] Request options
+     * @returns {Promise}
+     */
+    post(url, body = undefined, options = {}) {
+        return this.request(Object.assign({}, options, { url, body, method: 'POST' }));
+    }
+
+    /**
+     * Make a PUT request
+     * @param {String} url The URL
+     * @param {*} [body] The request body
+     * @param {Object} [options] Request options
+     * @returns {Promise}
+     */
+    put(url, body = undefined, options = {}) {
+        return this.request(Object.assign({}, options, { url, body, method: 'PUT' }));
+    }
+
+    /**
+     * Make a PATCH request
+     * @param {String} url The URL
+     * @param {*} [body] The request body
+     * @param {Object} [options] Request options
+     * @returns {Promise}
+     */
+    patch(url, body = undefined, options = {}) {
+        return this.request(Object.assign({}, options, { url, body, method: 'PATCH' }));
+    }
+
+    /**
+     * Make a DELETE request
+     * @param {String} url The URL
+     * @param {Object} [options] Request options
+     * @returns {Promise}
+     */
+    delete(url, options = {}) {
+        return this.request(Object.assign({}, options, { url, method: 'DELETE' }));
+    }
+
+    /**
+     * Make one attempt at a request, retrying when it fails
+     * @param {Object} request The request options
+     * @param {Number} attempt The number of attempts made before
+     * @returns {Promise}
+     */
+    attempt(request, attempt) {
+        const retry = () => sleep(Math.min(request.maxRetryDelay, request.retryDelay * Math.pow(2, attempt)))
+            .then(() => this.attempt(request, attempt + 1));
+        return this.send(request)
+            .then(response => this.hooks.afterResponse.reduce((promise, hook) => promise.then(response =>
+                Promise.resolve(hook(response, request)).then(replaced => replaced || response)), Promise.resolve(response)))
+            .then(response => {
+                if (response.ok) {
+                    return readBody(response, request.responseType);
+                }
+                if (attempt < request.retries && request.retryOn(response.status)) {
+                    return retry();
+                }
+                return readBody(response, 'auto').catch(() => null).then(body =>
+                    Promise.reject(new HttpError(response.status, response.statusText, request.url, body)));
+            }, err => {
+                // network errors and timeouts, the caller aborting is final
+                const idempotent = request.idempotent !== undefined ? request.idempotent
+                    : IDEMPOTENT_METHODS.indexOf(request.method) !== -1;
+                if (attempt < request.retries && idempotent && !(request.signal && request.signal.aborted)) {
+                    return retry();
+                }
+                return Promise.reject(err);
+            });
+    }
+
+    /**
+     * Send a request with fetch, aborting it on timeout or when the caller aborts
+     * @param {Object} request The request options
+     * @returns {Promise} resolves with the fetch Response
+     */
+    send(request) {
+        const { signal, timeout } = request;
+        if (signal && signal.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        const controller = new AbortController();
+        const abort = () => controller.abort(signal.reason);
+        if (signal) {
+            signal.addEventListener('abort', abort);
+        }
+        const timer = timeout > 0 ? setTimeout(() => controller.abort(new HttpTimeoutError(timeout, request.url)), timeout) : null;
+        const done = () => {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', abort);
+            }
+        };
+        return this.fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            credentials: request.credentials,
+            signal: controller.signal
+        }).then(response => {
+            done();
+            return response;
+        }, err => {
+            done();
+            // not every fetch rejects with the abort reason
+            return Promise.reject(controller.signal.aborted ? controller.signal.reason : err);
+        });
+    }
+}
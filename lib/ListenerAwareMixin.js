@@ -8,11 +8,11 @@
  */
 
 // local libs
-import { getUniqueId } from './RemoteWorker';
+import { getUniqueId } from './RemoteWorker.js';
 
 /**
  * ListenerAwareMixin provides a public interface to add, remove, and execute 
- * message listeners.
+ * message listeners, and listeners for named pool events.
  *
  * @param {Function} superclass The super class you want to extend
  */
@@ -25,6 +25,7 @@ export const ListenerAwareMixin = superclass => class ListenerAwareMixin extends
     constructor() {
         super(...arguments);
         this.listeners = {};
+        this.eventListeners = {};
     }
 
     /**
@@ -67,4 +68,71 @@ export const ListenerAwareMixin = superclass => class ListenerAwareMixin extends
             listener.call(listener, evt);
         }
     }
+
+    /**
+     * Call a function of the user (ie. a progress callback) from a message listener, emitting
+     * what it throws, or rejects with, as a named event instead of letting it reach the listener
+     * @param {Function} fn The function
+     * @param {Array} args The arguments
+     * @param {String} type The event name
+     * @param {Object} data The event data, the error is added to it as `error`
+     * @returns {void}
+     */
+    invokeCallback(fn, args, type, data) {
+        const report = error => this.executeEventListeners(type, Object.assign({}, data, { error }));
+        try {
+            const result = fn.apply(fn, args);
+            if (result && typeof result.then === 'function') {
+                result.then(null, report);
+            }
+        } catch (error) {
+            report(error);
+        }
+    }
+
+    /**
+     * Add a listener for a named event (ie. 'worker-restarted')
+     * @param {String} type The event name
+     * @param {Function} fn The listener, called with the event data
+     * @returns {String} the index for the listener to be removed
+     * @throws TypeError on invalid argument
+     */
+    addEventListener(type, fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Event listener must be a function');
+        }
+        const idx = getUniqueId();
+        this.eventListeners[idx] = { type, fn };
+        return idx;
+    }
+
+    /**
+     * Remove an event listener by id
+     * @param {String} idx The listener id
+     * @returns {boolean}
+     */
+    removeEventListener(idx) {
+        if (idx in this.eventListeners) {
+            this.eventListeners[idx] = null;
+            delete this.eventListeners[idx];
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Execute the listeners for a named event
+     * @param {String} type The event name
+     * @param {*} data The event data
+     * @returns {void}
+     */
+    executeEventListeners(type, data) {
+        for (const idx in this.eventListeners) {
+            const listener = this.eventListeners[idx];
+            // gone when an earlier listener cleared them, ie. by terminating a worker
+            if (listener && listener.type === type) {
+                listener.fn.call(listener.fn, data);
+            }
+        }
+    }
 };
\ No newline at end of file
@@ -0,0 +1,34 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Compose a list of Koa-style middleware into one function
+ *
+ * Each middleware is called with (ctx, next). Calling `next()` runs the rest of the chain and
+ * resolves when it is done, so code after `await next()` sees what the inner middleware and the
+ * final handler did to `ctx`. A middleware that does not call `next()` ends the chain.
+ *
+ * @param {Function[]} middleware The middleware, outermost first
+ * @returns {Function} (ctx, last) => Promise, where last is the final handler, called as (ctx)
+ */
+export const compose = middleware => (ctx, last) => {
+    let index = -1;
+    const run = idx => {
+        if (idx <= index) {
+            return Promise.reject(new Error('next() called multiple times'));
+        }
+        index = idx;
+        const fn = idx === middleware.length ? last : middleware[idx];
+        if (!fn) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => resolve(fn(ctx, () => run(idx + 1))));
+    };
+    return run(0);
+};
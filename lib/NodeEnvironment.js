@@ -0,0 +1,136 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import { Worker, MessageChannel } from 'worker_threads';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+// local libs
+import { BrowserEnvironment } from './BrowserEnvironment.js';
+
+/**
+ * NodeEnvironment runs the pools on Node.js worker_threads
+ *
+ * Give an instance to the WorkerPool and to the ThreadPool in the worker script, which is bound
+ * to `parentPort`:
+ *
+ *     const pool = new WorkerPool('./worker.js', 4, { environment: new NodeEnvironment() });
+ *     const thread = new ThreadPool(parentPort, { environment: new NodeEnvironment() });
+ *
+ * Node delivers the message payload without an event, so listeners receive a plain
+ * `{type, data, ports}` object in place of a MessageEvent. Ports are always sent inside the
+ * payload, since Node does not expose transferred ports that are not part of it.
+ */
+export class NodeEnvironment extends BrowserEnvironment {
+    /**
+     *
+     * @param {Object} [options]
+     * @param {Object} [options.workerOptions] Options for the worker_threads Worker constructor
+     */
+    constructor(options = {}) {
+        super();
+        this.workerOptions = options.workerOptions || {};
+    }
+
+    /**
+     * Create a worker
+     * @param {String|URL|Function} which The worker script path or URL, or a worker class to instantiate
+     * @returns {Worker}
+     * @throws Error for invalid argument
+     */
+    createWorker(which) {
+        if (typeof which === 'string' || which instanceof URL) {
+            return new Worker(which, this.workerOptions);
+        }
+        if (which instanceof Function) {
+            return new which();
+        }
+        throw new Error('Invalid Argument');
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see BrowserEnvironment.bindWorker
+     */
+    bindWorker(worker, listeners) {
+        worker.on('message', data => listeners.message(this.createMessageEvent('message', {data})));
+        worker.on('messageerror', err => listeners.messageerror(err));
+        worker.on('error', err => listeners.error(err));
+        worker.on('exit', code => listeners.exit(code));
+    }
+
+    /**
+     * Node.js has no shared workers
+     * @param {String|URL|Function} which The worker script
+     * @param {String} name The name of the shared worker
+     * @returns {void}
+     * @throws Error always
+     */
+    createSharedWorker(which, name) {
+        throw new Error('Shared workers are not available in Node.js');
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see BrowserEnvironment.createMessageChannel
+     */
+    createMessageChannel() {
+        return new MessageChannel();
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see BrowserEnvironment.createMessageEvent
+     */
+    createMessageEvent(type, init) {
+        return { type, data: init.data, ports: init.ports || [] };
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see BrowserEnvironment.addMessageListener
+     */
+    addMessageListener(target, fn) {
+        target.on('message', data => fn(this.createMessageEvent('message', {data})));
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see BrowserEnvironment.addErrorListener
+     */
+    addErrorListener(target, fn) {
+        target.on('messageerror', fn);
+    }
+
+    /**
+     * {@inheritDoc}
+     *
+     * Paths are resolved against the working directory.
+     *
+     * @see BrowserEnvironment.resolveModuleUrl
+     */
+    resolveModuleUrl(url) {
+        return /^[a-z][a-z0-9+.-]+:/i.test(url) ? url : pathToFileURL(resolve(url)).href;
+    }
+
+    /**
+     * {@inheritDoc}
+     *
+     * Only ES modules can be loaded.
+     *
+     * @see BrowserEnvironment.importModule
+     */
+    importModule(url, type = 'module') {
+        if (type === 'classic') {
+            return Promise.reject(new Error('Classic scripts can not be loaded in Node.js'));
+        }
+        return import(url);
+    }
+}
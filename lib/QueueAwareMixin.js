@@ -0,0 +1,256 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local libs
+import { TaskQueue } from './TaskQueue.js';
+import { QueueFullError } from './Errors.js';
+
+/**
+ * QueueAwareMixin queues outgoing commands and dispatches them, highest priority first, to the
+ * remote threads that are below their concurrency limit
+ *
+ * It expects to be applied on top of RemoteAwareMixin. Commands are registered with
+ * registerCallbackId, and the callback gets a `command` ({name, args, transfer, thread, meta, affinityKey}) before
+ * it is given to enqueue. A `thread` on the command pins it to that remote thread, and an `affinityKey`
+ * sends the commands with the same key to the same thread while it is available. Other commands go
+ * to the threads that can handle them (see canRemoteHandle).
+ *
+ * @param {Function} superclass The super class you want to extend
+ */
+export const QueueAwareMixin = superclass => class QueueAwareMixin extends (superclass || class { }) {
+
+    /**
+     *
+     * @constructor
+     */
+    constructor() {
+        super(...arguments);
+        this.maxConcurrentPerWorker = Infinity;
+        this.maxQueueSize = Infinity;
+        this.onQueueFull = 'reject';
+        this.queue = new TaskQueue();
+        this.blockedQueue = [];
+    }
+
+    /**
+     * Configure the queue
+     * @param {Object} [options]
+     * @param {Number} [options.maxConcurrentPerWorker] The most commands a thread runs at once, the rest are queued (defaults to Infinity)
+     * @param {Number} [options.maxQueueSize] The most commands waiting in the queue (defaults to Infinity)
+     * @param {String} [options.onQueueFull] 'reject' new commands with a QueueFullError when the queue is full, or 'block' them until there is room (defaults to 'reject')
+     * @param {Number} [options.agingInterval] Milliseconds of waiting worth one priority level (defaults to 1000, 0 disables aging)
+     * @returns {void}
+     */
+    configureQueue(options = {}) {
+        this.maxConcurrentPerWorker = options.maxConcurrentPerWorker || Infinity;
+        this.maxQueueSize = typeof options.maxQueueSize === 'number' ? options.maxQueueSize : Infinity;
+        this.onQueueFull = options.onQueueFull || 'reject';
+        if ('agingInterval' in options) {
+            this.queue.agingInterval = options.agingInterval;
+        }
+    }
+
+    /**
+     * The number of commands sent to threads and waiting on a result
+     * @returns {Number}
+     */
+    get pending() {
+        let count = 0;
+        for (const id in this.pendingCounts) {
+            count += this.pendingCounts[id];
+        }
+        return count;
+    }
+
+    /**
+     * The number of commands waiting in the queue for a thread to be available
+     * @returns {Number}
+     */
+    get queued() {
+        return this.queue.length;
+    }
+
+    /**
+     * The number of commands waiting for room in a full queue (when onQueueFull is 'block')
+     * @returns {Number}
+     */
+    get blocked() {
+        return this.blockedQueue.length;
+    }
+
+    /**
+     * Queue a registered command and dispatch what the threads have room for
+     * @param {String} callbackId The callback id of the command
+     * @param {Number} [priority] The priority, higher is dispatched first (defaults to 0)
+     * @returns {void}
+     */
+    enqueue(callbackId, priority = 0) {
+        const callback = this.callbacks[callbackId];
+        callback.queued = true;
+        callback.priority = priority;
+        callback.enqueuedAt = Date.now();
+        this.queue.push(callbackId, priority, callback.enqueuedAt);
+        this.dispatch();
+        if (!callback.queued || this.queue.length <= this.maxQueueSize) {
+            return;
+        }
+        this.queue.remove(callbackId);
+        if (this.onQueueFull === 'block') {
+            this.blockedQueue.push(callbackId);
+            return;
+        }
+        this.releaseCallbackId(callbackId);
+        callback.reject(new QueueFullError(this.maxQueueSize, callbackId));
+    }
+
+    /**
+     * Put a command that was taken off a thread back in the queue, keeping its priority and age
+     * @param {String} callbackId The callback id of the command
+     * @returns {void}
+     */
+    requeue(callbackId) {
+        const callback = this.callbacks[callbackId];
+        this.setCallbackThread(callback, null);
+        callback.queued = true;
+        this.queue.push(callbackId, callback.priority || 0, callback.enqueuedAt);
+    }
+
+    /**
+     * Change the priority of a command that is still waiting to be dispatched
+     * @param {String} callbackId The callback id of the command
+     * @param {Number} priority The new priority
+     * @returns {boolean} false if the command is not waiting
+     */
+    setPriority(callbackId, priority) {
+        if (!(callbackId in this.callbacks) || !this.callbacks[callbackId].queued) {
+            return false;
+        }
+        this.callbacks[callbackId].priority = priority;
+        // blocked commands get their priority once they are let into the queue
+        this.queue.setPriority(callbackId, priority);
+        return true;
+    }
+
+    /**
+     * Send queued commands to the threads that are below maxConcurrentPerWorker
+     * @returns {void}
+     */
+    dispatch() {
+        for (;;) {
+            while (this.blockedQueue.length !== 0 && this.queue.length < this.maxQueueSize) {
+                const callbackId = this.blockedQueue.shift();
+                const callback = this.callbacks[callbackId];
+                this.queue.push(callbackId, callback.priority, callback.enqueuedAt);
+            }
+            if (this.queue.length === 0) {
+                return;
+            }
+            const keys = this.getAvailableRemoteKeys();
+            if (keys.length === 0) {
+                return;
+            }
+            const callbackId = this.queue.shiftWhere(id => {
+                const command = this.callbacks[id].command;
+                return command.thread ? keys.indexOf(command.thread) !== -1 :
+                    this.getCommandRemoteKeys(command, keys).length !== 0;
+            });
+            if (callbackId === undefined) {
+                // only commands for busy threads are left
+                return;
+            }
+            const callback = this.callbacks[callbackId];
+            const thread = callback.command.thread ||
+                this.getNextRemoteKey(this.getCommandRemoteKeys(callback.command, keys), callback.command.affinityKey);
+            callback.queued = false;
+            this.setCallbackThread(callback, thread);
+            try {
+                this.sendQueuedCommand(thread, callbackId, callback.command);
+            } catch (err) {
+                // ie. arguments that can't be cloned
+                this.releaseCallbackId(callbackId);
+                callback.reject(err);
+            }
+        }
+    }
+
+    /**
+     * Get the threads a command that is not pinned to one can go to
+     * @param {Object} command The command
+     * @param {String[]} keys The ids of the available threads
+     * @returns {String[]}
+     */
+    getCommandRemoteKeys(command, keys) {
+        return this.getCapableRemoteKeys(command.name, keys);
+    }
+
+    /**
+     * Send a dispatched command to a thread
+     * @param {String} thread The thread id
+     * @param {String} callbackId The callback id of the command
+     * @param {Object} command The command ({name, args, transfer, meta})
+     * @returns {void}
+     */
+    sendQueuedCommand(thread, callbackId, command) {
+        this.sendMessageToRemote(thread, {
+            cmd: command.name,
+            args: command.args,
+            meta: command.meta,
+            callbackId
+        }, command.transfer);
+    }
+
+    /**
+     * Get the ids of the threads that can take another command
+     * @returns {String[]}
+     */
+    getAvailableRemoteKeys() {
+        return Object.keys(this.remotes).filter(id =>
+            (this.pendingCounts[id] || 0) < this.maxConcurrentPerWorker);
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see RemoteAwareMixin.releaseCallbackId
+     */
+    releaseCallbackId(callbackId) {
+        const callback = super.releaseCallbackId(callbackId);
+        if (callback && callback.queued) {
+            callback.queued = false;
+            if (!this.queue.remove(callbackId)) {
+                const idx = this.blockedQueue.indexOf(callbackId);
+                if (idx !== -1) {
+                    this.blockedQueue.splice(idx, 1);
+                }
+            }
+            this.dispatch();
+        } else if (callback && callback.thread) {
+            // a thread has room for another command
+            this.dispatch();
+        }
+        return callback;
+    }
+
+    /**
+     * Reject every command that is waiting in the queue
+     * @param {Function} createError Creates the error for a callback id
+     * @param {Function} [filter] Only reject the commands it returns true for (called with the command)
+     * @returns {void}
+     */
+    rejectWaiting(createError, filter = null) {
+        for (const callbackId of this.queue.toArray().concat(this.blockedQueue)) {
+            if (filter && (!this.callbacks[callbackId] || !filter(this.callbacks[callbackId].command))) {
+                continue;
+            }
+            const callback = this.releaseCallbackId(callbackId);
+            if (callback) {
+                callback.reject(createError(callbackId));
+            }
+        }
+    }
+};
@@ -7,12 +7,27 @@
  * file that was distributed with this source code.
  */
 
+// local libs
+import { AbortError, TimeoutError } from './Errors.js';
+import { ConsistentHashStrategy, createStrategy } from './BalanceStrategy.js';
+import { browserEnvironment } from './BrowserEnvironment.js';
+import { deserializeError } from './ErrorSerializer.js';
+import { Transfer } from './Transfer.js';
+import { compose } from './Middleware.js';
+import { cloneSize, createCodec, encodedSize } from './Codec.js';
+
 /**
  * The master thread id
  * @type {string}
  */
 const MASTER_THREAD = 'master';
 
+/**
+ * The key of the envelope around an encoded message
+ * @type {string}
+ */
+const ENCODED_KEY = '__workerpoolEncoded';
+
 /**
  * RemoteAwareMixin provides a public interface to communicate with siblings
  *
@@ -29,9 +44,16 @@ export const RemoteAwareMixin = superclass => class RemoteAwareMixin extends (su
     constructor() {
         super(...arguments);
         this.id = null;
+        this.environment = browserEnvironment;
         this.remotes = {};
         this.callbacks = {};
-        this.remoteKey = 0;
+        this.pendingCounts = {};
+        this.capabilities = {};
+        this.autoTransfer = false;
+        this.interceptors = [];
+        this.strategy = createStrategy('round-robin');
+        this.affinity = new ConsistentHashStrategy();
+        this.codec = createCodec('structured-clone');
     }
 
     /**
@@ -43,12 +65,13 @@ export const RemoteAwareMixin = superclass => class RemoteAwareMixin extends (su
     }
 
     /**
-     * See if a thread id / key is for master
+     * See if a thread id / key is for master (or one of the masters of a shared worker, 'master:<id>')
      * @param {String} threadKey
      * @returns {boolean}
      */
     isMasterThread(threadKey) {
-        return threadKey === MASTER_THREAD;
+        return threadKey === MASTER_THREAD ||
+            (typeof threadKey === 'string' && threadKey.indexOf(MASTER_THREAD + ':') === 0);
     }
 
     /**
@@ -60,19 +83,178 @@ export const RemoteAwareMixin = superclass => class RemoteAwareMixin extends (su
         return threadKey === this.id;
     }
 
+    /**
+     * Set the codec for the messages between threads, which every thread of the pool has to use
+     * @param {String|Object} codec A codec name ('structured-clone', 'json'), or a codec instance ({name, encode, decode})
+     * @returns {Object} the codec instance
+     * @see Codec
+     */
+    setCodec(codec) {
+        this.codec = createCodec(codec);
+        return this.codec;
+    }
+
+    /**
+     * Encode a message with the codec
+     *
+     * Messages with objects to transfer are posted as they are, so the objects can be moved. The
+     * size of a message posted as it is is an estimate (see cloneSize).
+     *
+     * @param {*} data The message
+     * @param {Object[]} [transferable] Transferable objects to send with the message
+     * @returns {{message: *, transferList: (Object[]|undefined), bytes: Number}}
+     */
+    encodeMessage(data, transferable = undefined) {
+        if ((transferable && transferable.length !== 0) || this.codec.raw) {
+            return { message: data, transferList: transferable, bytes: cloneSize(data) };
+        }
+        const encoded = this.codec.encode(data);
+        return {
+            message: { [ENCODED_KEY]: encoded },
+            transferList: encoded instanceof ArrayBuffer ? [encoded] : undefined,
+            bytes: encodedSize(encoded)
+        };
+    }
+
+    /**
+     * Decode the message of an event, if it was encoded with the codec
+     * @param {MessageEvent} evt The event
+     * @returns {MessageEvent} the event with the decoded message
+     */
+    decodeMessageEvent(evt) {
+        if (evt && evt.data && typeof evt.data === 'object' && ENCODED_KEY in evt.data) {
+            return this.createMessageEvent(this.codec.decode(evt.data[ENCODED_KEY]));
+        }
+        return evt;
+    }
+
+    /**
+     * Set the strategy used to balance messages between remote threads
+     * @param {String|Object|Function} strategy A strategy name ('round-robin', 'least-pending', 'random', 'weighted'), a strategy instance, or a function (keys, pool) => key
+     * @param {Object} [options] Options for a named strategy
+     * @returns {Object} the strategy instance
+     * @see BalanceStrategy
+     */
+    setStrategy(strategy, options = {}) {
+        this.strategy = createStrategy(strategy, options);
+        return this.strategy;
+    }
+
+    /**
+     * Configure the routing of commands with an affinity key
+     * @param {Object} [options] Options for the consistent-hash ring
+     * @param {Number} [options.replicas] The number of places of each thread on the ring (defaults to 100)
+     * @param {Number} [options.maxPending] Send to the next thread on the ring when the one for the key has this many outstanding commands (defaults to Infinity)
+     * @returns {ConsistentHashStrategy}
+     * @see ConsistentHashStrategy
+     */
+    setAffinity(options = {}) {
+        this.affinity = new ConsistentHashStrategy(options);
+        return this.affinity;
+    }
+
     /**
      * Get the next worker id to send a message to
+     * @param {String[]} [keys] The candidate remote thread ids (defaults to all remotes)
+     * @param {*} [affinityKey] Messages with the same key go to the same thread while it is available, through the affinity ring instead of the strategy
      * @returns {string}
      */
-    getNextRemoteKey() {
-        const keys = Object.keys(this.remotes);
-        const key = keys[this.remoteKey];
-        if (this.remoteKey >= keys.length - 1) {
-            this.remoteKey = 0;
+    getNextRemoteKey(keys = Object.keys(this.remotes), affinityKey = undefined) {
+        if (affinityKey !== undefined && affinityKey !== null) {
+            return this.affinity.next(keys, this, affinityKey);
+        }
+        return this.strategy.next(keys, this);
+    }
+
+    /**
+     * Receive the names of the commands another thread can handle
+     * @param {MessageEvent} evt The event ({capabilities: [names]})
+     * @returns {void}
+     */
+    receiveCapabilities(evt) {
+        this.capabilities[evt.data.thread] = evt.data.capabilities;
+    }
+
+    /**
+     * Forget the commands of a thread that is gone
+     * @param {String} threadId The thread id
+     * @returns {void}
+     */
+    forgetCapabilities(threadId) {
+        this.capabilities[threadId] = null;
+        delete this.capabilities[threadId];
+    }
+
+    /**
+     * See if a remote thread can handle a command, which is assumed until it says what it can handle
+     * @param {String} threadId The remote thread id
+     * @param {String} name The command name
+     * @returns {boolean}
+     */
+    canRemoteHandle(threadId, name) {
+        const commands = this.capabilities[threadId];
+        return !commands || commands.indexOf(name) !== -1;
+    }
+
+    /**
+     * Get the ids of the remote threads that can handle a command
+     * @param {String} name The command name
+     * @param {String[]} [keys] The candidate remote thread ids (defaults to all remotes)
+     * @returns {String[]}
+     */
+    getCapableRemoteKeys(name, keys = Object.keys(this.remotes)) {
+        return keys.filter(id => this.canRemoteHandle(id, name));
+    }
+
+    /**
+     * List the commands each remote thread can handle
+     * @returns {Object} a map of thread id to command names, or null for a thread that has not said
+     */
+    listCommands() {
+        const commands = {};
+        for (const id in this.remotes) {
+            commands[id] = this.capabilities[id] ? this.capabilities[id].slice() : null;
+        }
+        return commands;
+    }
+
+    /**
+     * Count the outstanding callbacks of this thread, per remote thread
+     * @returns {Object} a map of thread id to number of pending commands (do not modify)
+     */
+    getPendingCounts() {
+        return this.pendingCounts;
+    }
+
+    /**
+     * Set the thread a pending callback is waiting on, keeping the pending counts up to date
+     * @param {Promise} callback The callback from registerCallbackId
+     * @param {String|null} threadId The thread executing the command, or null if it is not executing
+     * @returns {void}
+     */
+    setCallbackThread(callback, threadId) {
+        if (callback.thread) {
+            this.countPendingCallback(callback.thread, -1);
+        }
+        callback.thread = threadId;
+        if (threadId) {
+            this.countPendingCallback(threadId, 1);
+        }
+    }
+
+    /**
+     * Adjust the pending count of a thread
+     * @param {String} threadId The thread id
+     * @param {Number} delta The amount to add
+     * @returns {void}
+     */
+    countPendingCallback(threadId, delta) {
+        const count = (this.pendingCounts[threadId] || 0) + delta;
+        if (count > 0) {
+            this.pendingCounts[threadId] = count;
         } else {
-            this.remoteKey += 1;
+            delete this.pendingCounts[threadId];
         }
-        return key;
     }
 
     /**
@@ -80,7 +262,7 @@ export const RemoteAwareMixin = superclass => class RemoteAwareMixin extends (su
      * @returns {boolean}
      */
     hasRemotes() {
-        return this.remotes.length !== 0;
+        return Object.keys(this.remotes).length !== 0;
     }
 
     /**
@@ -107,16 +289,23 @@ export const RemoteAwareMixin = superclass => class RemoteAwareMixin extends (su
             if (typeof data === 'object') {
                 data.thread = this.id;
             }
-            // TODO: I think shared workers have an origin param, to support them this needs to be flexible
-            if (!transferable || transferable.length === 0) {
-                data = JSON.parse(JSON.stringify(data));
-            }
-            this.remotes[threadId].postMessage(data, transferable);
+            const { message, transferList, bytes } = this.encodeMessage(data, transferable);
+            this.countBytes(threadId, bytes);
+            this.remotes[threadId].postMessage(message, transferList);
             return true;
         }
         return false;
     }
 
+    /**
+     * Count the size of a message sent to a remote thread (a hook for statistics)
+     * @param {String} threadId The id of the remote thread
+     * @param {Number} bytes The size, in characters or bytes of encoded messages, estimated for messages posted as they are
+     * @returns {void}
+     */
+    countBytes(threadId, bytes) {
+    }
+
     /**
      * Post a message to the next available remote worker in the same cluster (similar to postMessage but for the next available remote worker)
      * @param {*} data The data to send to the worker
@@ -137,9 +326,13 @@ export const RemoteAwareMixin = superclass => class RemoteAwareMixin extends (su
     /**
      * Register a promise callback
      * @param {String} callbackId The callback id
+     * @param {Object} [options] Command options
+     * @param {Number} [options.timeout] Reject with a TimeoutError if no reply arrives within this many milliseconds
+     * @param {AbortSignal} [options.signal] Reject with an AbortError when this signal is aborted
+     * @param {Function} [options.onProgress] Receives the progress updates of the command
      * @returns {Promise}
      */
-    registerCallbackId(callbackId) {
+    registerCallbackId(callbackId, options = {}) {
         let resolve, reject;
         const promise = new Promise((res, rej) => {
             resolve = res;
@@ -147,26 +340,189 @@ export const RemoteAwareMixin = superclass => class RemoteAwareMixin extends (su
         });
         promise.resolve = resolve;
         promise.reject = reject;
+        promise.callbackId = callbackId;
+        promise.thread = null;
+        promise.timer = null;
+        promise.signal = null;
+        promise.abortListener = null;
+        promise.onProgress = options.onProgress || null;
         this.callbacks[callbackId] = promise;
+
+        const { timeout, signal } = options;
+        if (signal) {
+            if (signal.aborted) {
+                this.cancelCommand(callbackId, new AbortError(callbackId, signal.reason));
+                return promise;
+            }
+            promise.signal = signal;
+            promise.abortListener = () => this.cancelCommand(callbackId, new AbortError(callbackId, signal.reason));
+            signal.addEventListener('abort', promise.abortListener);
+        }
+        if (timeout > 0) {
+            promise.timer = setTimeout(() => this.cancelCommand(callbackId, new TimeoutError(timeout, callbackId)), timeout);
+        }
         return promise;
     }
 
+    /**
+     * Remove a promise callback, clearing its timeout and abort listener
+     * @param {String} callbackId The callback id
+     * @returns {Promise|null} The removed callback, or null if it was not registered
+     */
+    releaseCallbackId(callbackId) {
+        if (!(callbackId in this.callbacks)) {
+            return null;
+        }
+        const callback = this.callbacks[callbackId];
+        this.callbacks[callbackId] = null;
+        delete this.callbacks[callbackId];
+        if (callback.thread) {
+            // the thread stays on the callback, for cancelCommand
+            this.countPendingCallback(callback.thread, -1);
+        }
+        if (callback.timer) {
+            clearTimeout(callback.timer);
+            callback.timer = null;
+        }
+        if (callback.signal) {
+            callback.signal.removeEventListener('abort', callback.abortListener);
+            callback.signal = null;
+            callback.abortListener = null;
+        }
+        return callback;
+    }
+
+    /**
+     * Cancel a pending command, rejecting its promise and telling the executing thread to stop
+     * @param {String} callbackId The callback id of the command
+     * @param {Error} [reason] The error to reject with (defaults to an AbortError)
+     * @returns {boolean} false if the command was not pending
+     */
+    cancelCommand(callbackId, reason = undefined) {
+        const callback = this.releaseCallbackId(callbackId);
+        if (!callback) {
+            return false;
+        }
+        if (callback.thread) {
+            this.sendMessageToRemote(callback.thread, {cancel: callbackId});
+        }
+        callback.reject(reason || new AbortError(callbackId));
+        return true;
+    }
+
+    /**
+     * Add an interceptor for the commands this thread sends
+     *
+     * Interceptors are Koa-style middleware, called with (ctx, next) where ctx holds the `cmd`,
+     * `args` and `options` of the command, and `meta`, which is sent along with the command to
+     * the executing thread. After `await next()`, `ctx.result` holds the result, which can be
+     * replaced. Interceptors run in the order they were added.
+     *
+     * @param {Function} fn The interceptor
+     * @returns {this}
+     * @throws TypeError on invalid argument
+     */
+    intercept(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Interceptor must be a function');
+        }
+        this.interceptors.push(fn);
+        return this;
+    }
+
+    /**
+     * Run a command through the interceptors
+     * @param {String} name The command name
+     * @param {Array} args Arguments to send to the command
+     * @param {Object} options Command options
+     * @param {Function} send Sends the command, called with (name, args, options), returning the command promise
+     * @returns {Promise} the command promise, with its callbackId
+     */
+    interceptCommand(name, args, options, send) {
+        if (this.interceptors.length === 0) {
+            return send(name, args, options);
+        }
+        const ctx = {
+            cmd: name,
+            args,
+            options,
+            meta: Object.assign({}, options.meta),
+            callbackId: null,
+            result: undefined
+        };
+        const promise = compose(this.interceptors)(ctx, () => {
+            const command = send(ctx.cmd, ctx.args, Object.assign({}, ctx.options, { meta: ctx.meta }));
+            ctx.callbackId = command.callbackId;
+            return command.then(result => {
+                ctx.result = result;
+            });
+        }).then(() => ctx.result);
+        // known once the interceptors have sent the command, for cancelCommand
+        Object.defineProperty(promise, 'callbackId', { get: () => ctx.callbackId });
+        return promise;
+    }
+
+    /**
+     * Send a command to each of a list of threads, and gather the results by thread id
+     * @param {String[]} threadIds The thread ids
+     * @param {Function} send Sends the command to a thread id, returning the command promise
+     * @param {Boolean} [allSettled] Resolve with the outcome of every thread ({status, value} or {status, reason}) instead of rejecting on the first failure
+     * @returns {Promise} resolves with a map of thread id to result
+     */
+    gatherCommandResults(threadIds, send, allSettled = false) {
+        let promises = threadIds.map(threadId => send(threadId));
+        if (allSettled) {
+            promises = promises.map(promise => promise.then(
+                value => ({ status: 'fulfilled', value }),
+                reason => ({ status: 'rejected', reason })));
+        }
+        return Promise.all(promises).then(results => threadIds.reduce((map, threadId, idx) => {
+            map[threadId] = results[idx];
+            return map;
+        }, {}));
+    }
+
     /**
      * Receive the results from a command call to a remote thread
      * @param {MessageEvent} evt The event data from the command
      * @returns {void}
      */
     receiveCommandResult(evt) {
-        const returnId = evt.data.returnId;
-        if (returnId in this.callbacks) {
-            const callback = this.callbacks[returnId];
-            this.callbacks[returnId] = null;
-            delete this.callbacks[returnId];
-            if (evt.data.error) {
-                callback.reject(evt.data.error);
-            } else {
-                callback.resolve(evt.data.data);
-            }
+        const callback = this.releaseCallbackId(evt.data.returnId);
+        if (!callback) {
+            return;
+        }
+        if ('error' in evt.data) {
+            callback.reject(deserializeError(evt.data.error));
+        } else {
+            callback.resolve(evt.data.data);
+        }
+    }
+
+    /**
+     * Wrap a value with the objects to transfer to the other thread, instead of copying them
+     * (for command results and arguments)
+     * @param {*} value The value to send
+     * @param {Object[]} [transferList] The objects in the value to transfer (defaults to every transferable found in it)
+     * @returns {Transfer}
+     */
+    transfer(value, transferList = undefined) {
+        return new Transfer(value, transferList);
+    }
+
+    /**
+     * Receive a progress update (or partial result) from a command call to a remote thread
+     *
+     * A progress callback that throws is reported with a 'progress-error' event
+     * ({callbackId, error}).
+     *
+     * @param {MessageEvent} evt The event data from the command
+     * @returns {void}
+     */
+    receiveCommandProgress(evt) {
+        const callback = this.callbacks[evt.data.progressId];
+        if (callback && callback.onProgress) {
+            this.invokeCallback(callback.onProgress, [evt.data.data], 'progress-error', { callbackId: evt.data.progressId });
         }
     }
 
@@ -179,6 +535,6 @@ export const RemoteAwareMixin = superclass => class RemoteAwareMixin extends (su
      */
     createMessageEvent(data, type = 'message', init = {}) {
         init.data = data;
-        return new MessageEvent(type, init);
+        return this.environment.createMessageEvent(type, init);
     }
 };
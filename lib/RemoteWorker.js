@@ -8,7 +8,8 @@
  */
 
 // local libs
-import { ListenerAwareMixin } from './ListenerAwareMixin';
+import { ListenerAwareMixin } from './ListenerAwareMixin.js';
+import { browserEnvironment } from './BrowserEnvironment.js';
 
 // fail-safe unique counter
 let uniqueId = 0;
@@ -18,7 +19,7 @@ let uniqueId = 0;
  * @returns {string}
  */
 export const getUniqueId = () => ++uniqueId + '.' + (new Date()).getTime() +
-    '.' + (performance ? performance.now() : Math.random()) +
+    '.' + (typeof performance !== 'undefined' ? performance.now() : Math.random()) +
     '.' + Math.random();
 
 /**
@@ -30,6 +31,10 @@ export const getUniqueId = () => ++uniqueId + '.' + (new Date()).getTime() +
  * Remote workers have a special ident message that sends the incoming port it needs to bind to.
  * Your worker has to listen for this data payload to be sent first, and bind a message listener to
  * the MessagePort attached to the payload, for incoming messages.
+ *
+ * The worker acknowledges the ident message and every sibling port ({ack: 'ident'},
+ * {ack: 'remote:<id>'} and {ack: 'listen:<id>'}), and is ready, emitting a 'ready' event, once
+ * everything sent to it up to then has been acknowledged.
  */
 export class RemoteWorker extends ListenerAwareMixin() {
     /**
@@ -42,34 +47,62 @@ export class RemoteWorker extends ListenerAwareMixin() {
 
     /**
      * Each instance represents one worker in the balanced cluster
-     * @param {String|Worker} The worker script URL or the worker class to instantiate (for webpack support)
+     * @param {String|Worker} which The worker script URL or the worker class to instantiate (for webpack support)
+     * @param {BrowserEnvironment} [environment] The environment adapter (defaults to the browser)
+     * @param {Object} [identity] More data to send with the ident message (ie. shared objects)
+     * @param {String} [id] The id of the worker (defaults to a unique id)
      * @throws Error for invalid argument
      */
-    constructor(which) {
+    constructor(which, environment = browserEnvironment, identity = {}, id = getUniqueId()) {
 
         super();
 
-        // get the worker intance (if-else logic to support webpack's worker-loader)
-        if (typeof which === 'string') {
-            this.worker = new Worker(which);
-        } else if (which instanceof Function) {
-            this.worker = new which();
-        } else {
-            throw new Error('Invalid Argument');
-        }
+        // the id, before the worker, which may be named after it
+        this.environment = environment;
+        this.id = id;
+
+        // get the worker intance
+        this.worker = this.createWorker(which);
 
         // initialize empty remote thread (MessageChannel map)
         this.threads = {};
 
-        // generate a unique id
-        this.id = getUniqueId();
+        // set when the worker fails to load or stops, and the last uncaught error it reported
+        this.failed = false;
+        this.lastError = null;
 
-        this.worker.onmessage = evt => this.messageListener(evt);
-        this.worker.onmessageerror = evt => this.errorListener(evt);
-        this.worker.onerror = err => this.errorListener(err);
+        // acknowledgements the worker still owes, and whether it has been ready once
+        this.pendingAcks = {};
+        this.ready = false;
+
+        this.bindWorker({
+            message: evt => this.messageListener(evt),
+            messageerror: evt => this.errorListener(evt),
+            error: err => this.uncaughtErrorListener(err),
+            exit: code => this.exitListener(code)
+        });
 
         // identify with our id
-        this.postMessage({ident: this.id});
+        this.expectAck('ident');
+        this.postMessage(Object.assign({ident: this.id}, identity));
+    }
+
+    /**
+     * Create the worker
+     * @param {String|Worker} which The worker script URL or the worker class to instantiate
+     * @returns {Worker}
+     */
+    createWorker(which) {
+        return this.environment.createWorker(which);
+    }
+
+    /**
+     * Bind listeners to the events of the worker
+     * @param {Object} listeners The listeners (see BrowserEnvironment.bindWorker)
+     * @returns {void}
+     */
+    bindWorker(listeners) {
+        this.environment.bindWorker(this.worker, listeners);
     }
 
     /**
@@ -88,14 +121,71 @@ export class RemoteWorker extends ListenerAwareMixin() {
                     - other worker communicates with this worker through port 2
                  message channels can only be used by the originating and receiving threads */
 
-        const channel = new MessageChannel();
+        const channel = this.environment.createMessageChannel();
         channel.port1.start();
         channel.port2.start();
         this.threads[worker.id] = channel;
+        worker.expectAck('listen:' + this.id);
+        this.expectAck('remote:' + worker.id);
 
         // register the new thread id and remote message port with this thread
-        worker.postMessage({listen: this.id}, [channel.port1]);
-        this.postMessage({remote: worker.id}, [channel.port2]);
+        // (the port goes in the payload as well, for environments that only expose it there)
+        worker.postMessage({listen: this.id, port: channel.port1}, [channel.port1]);
+        this.postMessage({remote: worker.id, port: channel.port2}, [channel.port2]);
+    }
+
+    /**
+     * Unregister a remote thread, closing the channel this thread shares with it
+     * @param {String} id The id of the remote worker
+     * @returns {boolean} false if the thread was not registered
+     */
+    unregisterRemoteThread(id) {
+        if (!(id in this.threads)) {
+            return false;
+        }
+        const channel = this.threads[id];
+        channel.port1.close();
+        channel.port2.close();
+        this.threads[id] = null;
+        delete this.threads[id];
+        // the sibling is gone, and so are the ports it had to acknowledge
+        this.acknowledge('remote:' + id);
+        this.acknowledge('listen:' + id);
+        return true;
+    }
+
+    /**
+     * Expect the worker to acknowledge a message
+     * @param {String} key The acknowledgement ('ident', 'remote:<id>' or 'listen:<id>')
+     * @returns {void}
+     */
+    expectAck(key) {
+        this.pendingAcks[key] = true;
+    }
+
+    /**
+     * Receive an acknowledgement from the worker, emitting 'ready' the first time none are owed
+     * @param {String} key The acknowledgement
+     * @returns {boolean} false if it was not expected
+     */
+    acknowledge(key) {
+        if (!(key in this.pendingAcks)) {
+            return false;
+        }
+        delete this.pendingAcks[key];
+        if (!this.ready && this.worker && this.isConnected()) {
+            this.ready = true;
+            this.executeEventListeners('ready', this.id);
+        }
+        return true;
+    }
+
+    /**
+     * See if the worker has acknowledged everything sent to it, so it is connected to every sibling
+     * @returns {boolean}
+     */
+    isConnected() {
+        return Object.keys(this.pendingAcks).length === 0;
     }
 
     /**
@@ -103,21 +193,29 @@ export class RemoteWorker extends ListenerAwareMixin() {
      * @returns {void}
      */
     terminate() {
-        // stop all ports from this thread connecting to any siblings
-        for (const thread of this.threads) {
-            thread.port1.stop();
-            thread.port2.stop();
-        }
-        // terminate the worker
+        // terminate the worker (first, so closing its channels can't make it ready)
         if (this.worker) {
-            this.worker.terminate();
+            this.terminateWorker();
         }
-        // re-init
         this.worker = null;
+        // stop all ports from this thread connecting to any siblings
+        for (const id in this.threads) {
+            this.unregisterRemoteThread(id);
+        }
+        // re-init
         this.listeners = {};
+        this.eventListeners = {};
         this.threads = {};
     }
 
+    /**
+     * Stop the worker
+     * @returns {void}
+     */
+    terminateWorker() {
+        this.worker.terminate();
+    }
+
     /**
      * Post a message to the worker
      * @param {*} data The data to send to the worker
@@ -147,6 +245,55 @@ export class RemoteWorker extends ListenerAwareMixin() {
      */
     errorListener(error) {
         this.executeMessageListeners(
-            new MessageEvent('message', {data: {error}}));
+            this.environment.createMessageEvent('message', {data: {error}}));
+    }
+
+    /**
+     * Receive an uncaught error from our attached worker
+     *
+     * Before the worker is ready, it failed to load (or to start). After, the worker keeps
+     * running (ie. a throw in a timer callback of a browser worker): the error is only passed to
+     * the message listeners and the 'uncaught-error' event listeners. Where the error stops the
+     * worker, the exit follows.
+     *
+     * @param {Error|ErrorEvent} error The error
+     * @returns {void}
+     */
+    uncaughtErrorListener(error) {
+        if (!this.ready) {
+            this.failureListener(error);
+            return;
+        }
+        this.lastError = error;
+        this.errorListener(error);
+        this.executeEventListeners('uncaught-error', error);
+    }
+
+    /**
+     * Receive the failure of our attached worker, marking it as failed
+     * @param {Error|ErrorEvent} error The error
+     * @returns {void}
+     */
+    failureListener(error) {
+        this.failed = true;
+        this.errorListener(error);
+        this.executeEventListeners('error', error);
+    }
+
+    /**
+     * Receive the exit code of our attached worker, which only happens in environments where a
+     * worker can stop by itself (ie. Node.js, after an uncaught error or process.exit)
+     * @param {Number} code The exit code
+     * @returns {void}
+     */
+    exitListener(code) {
+        if (!this.worker) {
+            // terminated by us
+            return;
+        }
+        this.worker = null;
+        if (!this.failed) {
+            this.failureListener(this.lastError || new Error('Worker exited with code ' + code));
+        }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,707 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * Shared state between the threads of a pool, kept in a SharedArrayBuffer and synchronized with
+ * Atomics
+ *
+ * Every method returns a promise, so the same code works when shared memory is not available
+ * (ie. a page that is not cross-origin isolated). The objects then live on the main thread, in
+ * a plain ArrayBuffer, and the workers get proxies that send each operation to it.
+ *
+ * The operations that touch memory are listed in the static `ops` of each class. A proxy
+ * forwards those, and builds the other methods on top of them.
+ */
+
+/**
+ * The longest delay between two checks while polling for a change, in milliseconds
+ * @type {Number}
+ */
+const MAX_POLL_INTERVAL = 50;
+
+/**
+ * The bytes for the length in front of each queue entry
+ * @type {Number}
+ */
+const ENTRY_HEADER = 4;
+
+/**
+ * See if memory can be shared between threads
+ * @returns {boolean}
+ */
+export const canShareMemory = () => typeof SharedArrayBuffer !== 'undefined' &&
+    (typeof crossOriginIsolated === 'undefined' || crossOriginIsolated === true);
+
+/**
+ * Allocate the memory for a shared object
+ * @param {Number} byteLength The size in bytes
+ * @param {Boolean} shared Whether to share the memory between threads
+ * @returns {SharedArrayBuffer|ArrayBuffer}
+ */
+const allocate = (byteLength, shared) => {
+    // Int32Array views need a multiple of 4 bytes
+    byteLength = Math.ceil(byteLength / 4) * 4;
+    return shared ? new SharedArrayBuffer(byteLength) : new ArrayBuffer(byteLength);
+};
+
+/**
+ * Wait until a value in memory is no longer the expected value
+ *
+ * Uses Atomics.waitAsync on shared memory, and polls where it is not available (or the memory
+ * is not shared), since Atomics.wait would block the thread.
+ *
+ * @param {Int32Array} array The memory
+ * @param {Number} index The index of the value
+ * @param {Number} value The expected value
+ * @param {Number} [timeout] The longest wait, in milliseconds (defaults to Infinity)
+ * @returns {Promise} resolves with 'ok', 'not-equal' or 'timed-out', like Atomics.wait
+ */
+const waitFor = (array, index, value, timeout = Infinity) => {
+    if (typeof timeout !== 'number') {
+        // Infinity does not survive the trip through JSON
+        timeout = Infinity;
+    }
+    if (typeof SharedArrayBuffer !== 'undefined' && array.buffer instanceof SharedArrayBuffer &&
+        typeof Atomics.waitAsync === 'function') {
+        const result = Atomics.waitAsync(array, index, value, timeout);
+        return result.async ? result.value : Promise.resolve(result.value);
+    }
+    if (Atomics.load(array, index) !== value) {
+        return Promise.resolve('not-equal');
+    }
+    const start = Date.now();
+    return new Promise(resolve => {
+        let delay = 1;
+        const poll = () => {
+            if (Atomics.load(array, index) !== value) {
+                resolve('ok');
+                return;
+            }
+            const remaining = timeout - (Date.now() - start);
+            if (remaining <= 0) {
+                resolve('timed-out');
+                return;
+            }
+            setTimeout(poll, Math.min(delay, remaining));
+            delay = Math.min(MAX_POLL_INTERVAL, delay * 2);
+        };
+        poll();
+    });
+};
+
+/**
+ * Run a function while holding the lock of a shared object, releasing it when it is done
+ * @param {Object} target The shared object, with lock and unlock
+ * @param {Function} fn The function, may return a promise
+ * @returns {Promise} resolves with the result of the function
+ */
+const runLocked = (target, fn) => target.lock().then(() => new Promise(resolve => resolve(fn())).then(
+    result => {
+        target.unlock();
+        return result;
+    },
+    err => {
+        target.unlock();
+        return Promise.reject(err);
+    }
+));
+
+/**
+ * A mutex, for work that has to run on one thread at a time
+ */
+export class SharedMutex {
+    /**
+     * The operations that touch memory
+     * @type {String[]}
+     */
+    static get ops() {
+        return ['lock', 'tryLock', 'unlock'];
+    }
+
+    /**
+     * The memory needed for a mutex
+     * @returns {Number}
+     */
+    static byteLength() {
+        return 4;
+    }
+
+    /**
+     *
+     * @param {SharedArrayBuffer|ArrayBuffer} buffer The memory
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        // the first 32 bits, also when the mutex guards a larger object
+        this.state = new Int32Array(buffer, 0, 1);
+    }
+
+    /**
+     * Acquire the lock, waiting until it is released by the thread holding it
+     * @param {Number} [timeout] The longest wait, in milliseconds (defaults to Infinity)
+     * @returns {Promise} resolves with false if the lock was not acquired in time
+     */
+    lock(timeout = Infinity) {
+        if (typeof timeout !== 'number') {
+            timeout = Infinity;
+        }
+        const start = Date.now();
+        const attempt = () => {
+            if (Atomics.compareExchange(this.state, 0, 0, 1) === 0) {
+                return true;
+            }
+            const remaining = timeout - (Date.now() - start);
+            if (remaining <= 0) {
+                return false;
+            }
+            return waitFor(this.state, 0, 1, remaining).then(attempt);
+        };
+        return Promise.resolve().then(attempt);
+    }
+
+    /**
+     * Acquire the lock if it is free
+     * @returns {Promise} resolves with false if the lock is held
+     */
+    tryLock() {
+        return Promise.resolve(Atomics.compareExchange(this.state, 0, 0, 1) === 0);
+    }
+
+    /**
+     * Release the lock, waking one thread waiting for it
+     * @returns {Promise}
+     */
+    unlock() {
+        Atomics.store(this.state, 0, 0);
+        Atomics.notify(this.state, 0, 1);
+        return Promise.resolve();
+    }
+
+    /**
+     * Run a function while holding the lock
+     * @param {Function} fn The function, may return a promise
+     * @returns {Promise} resolves with the result of the function
+     */
+    withLock(fn) {
+        return runLocked(this, fn);
+    }
+}
+
+/**
+ * A 32 bit integer counter
+ *
+ * Follows Atomics: changing the value does not wake waiting threads, call notify for that.
+ */
+export class SharedCounter {
+    /**
+     * The operations that touch memory
+     * @type {String[]}
+     */
+    static get ops() {
+        return ['get', 'set', 'add', 'compareExchange', 'wait', 'notify'];
+    }
+
+    /**
+     * The memory needed for a counter
+     * @returns {Number}
+     */
+    static byteLength() {
+        return 4;
+    }
+
+    /**
+     *
+     * @param {SharedArrayBuffer|ArrayBuffer} buffer The memory
+     * @param {Object} [options]
+     * @param {Number} [options.initial] The initial value, when the memory is new (defaults to 0)
+     */
+    constructor(buffer, options = {}) {
+        this.buffer = buffer;
+        this.value = new Int32Array(buffer, 0, 1);
+        if (options.initial && options.create) {
+            Atomics.store(this.value, 0, options.initial);
+        }
+    }
+
+    /**
+     * Get the value
+     * @returns {Promise}
+     */
+    get() {
+        return Promise.resolve(Atomics.load(this.value, 0));
+    }
+
+    /**
+     * Set the value
+     * @param {Number} value The new value
+     * @returns {Promise} resolves with the new value
+     */
+    set(value) {
+        return Promise.resolve(Atomics.store(this.value, 0, value));
+    }
+
+    /**
+     * Add to the value
+     * @param {Number} amount The amount to add (negative to subtract)
+     * @returns {Promise} resolves with the new value
+     */
+    add(amount) {
+        return Promise.resolve((Atomics.add(this.value, 0, amount) + amount) | 0);
+    }
+
+    /**
+     * Add one to the value
+     * @returns {Promise} resolves with the new value
+     */
+    increment() {
+        return this.add(1);
+    }
+
+    /**
+     * Subtract one from the value
+     * @returns {Promise} resolves with the new value
+     */
+    decrement() {
+        return this.add(-1);
+    }
+
+    /**
+     * Set the value, only if it is the expected value
+     * @param {Number} expected The expected value
+     * @param {Number} replacement The new value
+     * @returns {Promise} resolves with the value before, which is the expected value if it was replaced
+     */
+    compareExchange(expected, replacement) {
+        return Promise.resolve(Atomics.compareExchange(this.value, 0, expected, replacement));
+    }
+
+    /**
+     * Wait while the value is the expected value, until a thread calls notify
+     * @param {Number} value The expected value
+     * @param {Number} [timeout] The longest wait, in milliseconds (defaults to Infinity)
+     * @returns {Promise} resolves with 'ok', 'not-equal' or 'timed-out'
+     */
+    wait(value, timeout = Infinity) {
+        return waitFor(this.value, 0, value, timeout);
+    }
+
+    /**
+     * Wake threads waiting on the value
+     * @param {Number} [count] The most threads to wake (defaults to all)
+     * @returns {Promise} resolves with the number of threads woken (threads that poll are not counted)
+     */
+    notify(count = Infinity) {
+        return Promise.resolve(Atomics.notify(this.value, 0, typeof count === 'number' ? count : Infinity));
+    }
+}
+
+/**
+ * A first in, first out queue of JSON values, in a ring buffer
+ */
+export class SharedQueue {
+    /**
+     * The operations that touch memory
+     * @type {String[]}
+     */
+    static get ops() {
+        return ['push', 'shift', 'size', 'clear', 'wait'];
+    }
+
+    /**
+     * The memory needed for a queue
+     * @param {Object} [options]
+     * @param {Number} [options.capacity] The bytes available for entries (defaults to 65536)
+     * @returns {Number}
+     */
+    static byteLength(options = {}) {
+        return SharedQueue.HEADER * 4 + (options.capacity || 65536);
+    }
+
+    /**
+     * The header size, in 32 bit integers: lock, head, tail, used bytes, count
+     * @type {Number}
+     */
+    static get HEADER() {
+        return 5;
+    }
+
+    /**
+     *
+     * @param {SharedArrayBuffer|ArrayBuffer} buffer The memory
+     * @param {Object} [options] Options, as for byteLength
+     */
+    constructor(buffer, options = {}) {
+        this.buffer = buffer;
+        this.mutex = new SharedMutex(buffer);
+        this.header = new Int32Array(buffer, 0, SharedQueue.HEADER);
+        this.data = new Uint8Array(buffer, SharedQueue.HEADER * 4, options.capacity || 65536);
+    }
+
+    /**
+     * Acquire the lock of the queue
+     * @returns {Promise}
+     */
+    lock() {
+        return this.mutex.lock();
+    }
+
+    /**
+     * Release the lock of the queue
+     * @returns {Promise}
+     */
+    unlock() {
+        return this.mutex.unlock();
+    }
+
+    /**
+     * Add a value to the end of the queue, waking a thread waiting to take one
+     * @param {*} value The value (must survive JSON)
+     * @returns {Promise} resolves with false if the queue is full
+     */
+    push(value) {
+        if (value === undefined) {
+            return Promise.reject(new TypeError('Can not push undefined to a shared queue'));
+        }
+        const payload = new TextEncoder().encode(JSON.stringify(value));
+        return runLocked(this, () => {
+            const capacity = this.data.length;
+            const size = ENTRY_HEADER + payload.length;
+            if (Atomics.load(this.header, 3) + size > capacity) {
+                return false;
+            }
+            const length = new Uint8Array(ENTRY_HEADER);
+            new DataView(length.buffer).setUint32(0, payload.length);
+            const tail = Atomics.load(this.header, 2);
+            this.writeBytes(tail, length);
+            this.writeBytes((tail + ENTRY_HEADER) % capacity, payload);
+            Atomics.store(this.header, 2, (tail + size) % capacity);
+            Atomics.add(this.header, 3, size);
+            Atomics.add(this.header, 4, 1);
+            Atomics.notify(this.header, 4, 1);
+            return true;
+        });
+    }
+
+    /**
+     * Take the value at the front of the queue
+     * @returns {Promise} resolves with undefined if the queue is empty
+     */
+    shift() {
+        return runLocked(this, () => {
+            if (Atomics.load(this.header, 4) === 0) {
+                return undefined;
+            }
+            const capacity = this.data.length;
+            const head = Atomics.load(this.header, 1);
+            const length = new DataView(this.readBytes(head, ENTRY_HEADER).buffer).getUint32(0);
+            const payload = this.readBytes((head + ENTRY_HEADER) % capacity, length);
+            Atomics.store(this.header, 1, (head + ENTRY_HEADER + length) % capacity);
+            Atomics.sub(this.header, 3, ENTRY_HEADER + length);
+            Atomics.sub(this.header, 4, 1);
+            return JSON.parse(new TextDecoder().decode(payload));
+        });
+    }
+
+    /**
+     * Take the value at the front of the queue, waiting for one if the queue is empty
+     * @param {Number} [timeout] The longest wait, in milliseconds (defaults to Infinity)
+     * @returns {Promise} resolves with undefined if nothing arrived in time
+     */
+    take(timeout = Infinity) {
+        const start = Date.now();
+        const attempt = () => this.shift().then(value => {
+            const remaining = timeout - (Date.now() - start);
+            if (value !== undefined || remaining <= 0) {
+                return value;
+            }
+            return this.wait(0, remaining).then(attempt);
+        });
+        return attempt();
+    }
+
+    /**
+     * Get the number of values in the queue
+     * @returns {Promise}
+     */
+    size() {
+        return Promise.resolve(Atomics.load(this.header, 4));
+    }
+
+    /**
+     * Remove every value from the queue
+     * @returns {Promise}
+     */
+    clear() {
+        return runLocked(this, () => {
+            for (let idx = 1; idx < SharedQueue.HEADER; idx++) {
+                Atomics.store(this.header, idx, 0);
+            }
+        });
+    }
+
+    /**
+     * Wait while the queue holds the expected number of values
+     * @param {Number} count The expected number of values
+     * @param {Number} [timeout] The longest wait, in milliseconds (defaults to Infinity)
+     * @returns {Promise} resolves with 'ok', 'not-equal' or 'timed-out'
+     */
+    wait(count, timeout = Infinity) {
+        return waitFor(this.header, 4, count, timeout);
+    }
+
+    /**
+     * Write bytes into the ring buffer, wrapping around its end
+     * @param {Number} offset The position to write at
+     * @param {Uint8Array} bytes The bytes
+     * @returns {void}
+     */
+    writeBytes(offset, bytes) {
+        const first = Math.min(bytes.length, this.data.length - offset);
+        this.data.set(bytes.subarray(0, first), offset);
+        this.data.set(bytes.subarray(first), 0);
+    }
+
+    /**
+     * Copy bytes out of the ring buffer, wrapping around its end
+     * @param {Number} offset The position to read from
+     * @param {Number} length The number of bytes
+     * @returns {Uint8Array}
+     */
+    readBytes(offset, length) {
+        // copied, TextDecoder does not accept views of shared memory
+        const bytes = new Uint8Array(length);
+        const first = Math.min(length, this.data.length - offset);
+        bytes.set(this.data.subarray(offset, offset + first));
+        bytes.set(this.data.subarray(0, length - first), first);
+        return bytes;
+    }
+}
+
+/**
+ * A key-value store of JSON values
+ *
+ * The values are kept as one JSON document, every operation holds the lock of the store while
+ * it reads or writes it.
+ */
+export class SharedStore {
+    /**
+     * The operations that touch memory
+     * @type {String[]}
+     */
+    static get ops() {
+        return ['lock', 'unlock', 'read', 'write'];
+    }
+
+    /**
+     * The memory needed for a store
+     * @param {Object} [options]
+     * @param {Number} [options.size] The bytes available for the JSON document (defaults to 65536)
+     * @returns {Number}
+     */
+    static byteLength(options = {}) {
+        return SharedStore.HEADER * 4 + (options.size || 65536);
+    }
+
+    /**
+     * The header size, in 32 bit integers: lock, document length
+     * @type {Number}
+     */
+    static get HEADER() {
+        return 2;
+    }
+
+    /**
+     *
+     * @param {SharedArrayBuffer|ArrayBuffer} buffer The memory
+     * @param {Object} [options] Options, as for byteLength
+     * @param {Object} [options.initial] The initial values, when the memory is new
+     */
+    constructor(buffer, options = {}) {
+        this.buffer = buffer;
+        this.mutex = new SharedMutex(buffer);
+        this.header = new Int32Array(buffer, 0, SharedStore.HEADER);
+        this.data = new Uint8Array(buffer, SharedStore.HEADER * 4, options.size || 65536);
+        if (options.initial && options.create) {
+            this.write(options.initial);
+        }
+    }
+
+    /**
+     * Acquire the lock of the store, to read and write it without other threads in between
+     * @param {Number} [timeout] The longest wait, in milliseconds (defaults to Infinity)
+     * @returns {Promise} resolves with false if the lock was not acquired in time
+     */
+    lock(timeout = Infinity) {
+        return this.mutex.lock(timeout);
+    }
+
+    /**
+     * Release the lock of the store
+     * @returns {Promise}
+     */
+    unlock() {
+        return this.mutex.unlock();
+    }
+
+    /**
+     * Read every value, while holding the lock
+     * @returns {Promise} resolves with an object of key to value
+     */
+    read() {
+        const length = Atomics.load(this.header, 1);
+        if (length === 0) {
+            return Promise.resolve({});
+        }
+        return Promise.resolve(JSON.parse(new TextDecoder().decode(this.data.slice(0, length))));
+    }
+
+    /**
+     * Replace every value, while holding the lock
+     * @param {Object} values An object of key to value
+     * @returns {Promise}
+     * @throws RangeError when the values do not fit in the store
+     */
+    write(values) {
+        const bytes = new TextEncoder().encode(JSON.stringify(values));
+        if (bytes.length > this.data.length) {
+            return Promise.reject(new RangeError('Shared store is full (' + this.data.length + ' bytes)'));
+        }
+        this.data.set(bytes);
+        Atomics.store(this.header, 1, bytes.length);
+        return Promise.resolve();
+    }
+
+    /**
+     * Get a value
+     * @param {String} key The key
+     * @returns {Promise} resolves with undefined for an unknown key
+     */
+    get(key) {
+        return runLocked(this, () => this.read().then(values => values[key]));
+    }
+
+    /**
+     * See if a key has a value
+     * @param {String} key The key
+     * @returns {Promise}
+     */
+    has(key) {
+        return runLocked(this, () => this.read().then(values => key in values));
+    }
+
+    /**
+     * Set a value
+     * @param {String} key The key
+     * @param {*} value The value (must survive JSON)
+     * @returns {Promise}
+     */
+    set(key, value) {
+        return this.update(values => {
+            values[key] = value;
+        });
+    }
+
+    /**
+     * Remove a value
+     * @param {String} key The key
+     * @returns {Promise}
+     */
+    delete(key) {
+        return this.update(values => {
+            delete values[key];
+        });
+    }
+
+    /**
+     * Get a copy of every value
+     * @returns {Promise} resolves with an object of key to value
+     */
+    toObject() {
+        return runLocked(this, () => this.read());
+    }
+
+    /**
+     * Change the values without other threads in between
+     * @param {Function} fn Called with the values to change in place, may return a promise
+     * @returns {Promise} resolves with the values after the change
+     */
+    update(fn) {
+        return runLocked(this, () => this.read().then(values =>
+            Promise.resolve(fn(values)).then(() => this.write(values)).then(() => values)));
+    }
+}
+
+/**
+ * The kinds of shared objects
+ * @type {Object}
+ */
+const kinds = {
+    mutex: SharedMutex,
+    counter: SharedCounter,
+    queue: SharedQueue,
+    store: SharedStore
+};
+
+/**
+ * Get the class of a kind of shared object
+ * @param {String} kind The kind
+ * @returns {Function}
+ * @throws Error on unknown kind
+ */
+const getKind = kind => {
+    if (!(kind in kinds)) {
+        throw new Error('Unknown shared object kind: ' + kind);
+    }
+    return kinds[kind];
+};
+
+/**
+ * Create a new shared object
+ * @param {String} kind The kind, 'mutex', 'counter', 'queue' or 'store'
+ * @param {Object} options Options for the kind
+ * @param {Boolean} shared Whether to share the memory between threads
+ * @returns {Object}
+ * @throws Error on unknown kind
+ */
+export const createSharedObject = (kind, options, shared) => {
+    const SharedClass = getKind(kind);
+    return new SharedClass(allocate(SharedClass.byteLength(options), shared),
+        Object.assign({}, options, { create: true }));
+};
+
+/**
+ * Attach to a shared object created by another thread
+ *
+ * Without memory in the descriptor (memory is not shared) a proxy is returned, which sends the
+ * operations in the `ops` of the kind through the given function.
+ *
+ * @param {Object} descriptor The descriptor ({kind, name, buffer, options}) sent by the creating thread
+ * @param {Function} call Called with (op, args) to run an operation remotely, returning a promise
+ * @returns {Object}
+ * @throws Error on unknown kind
+ */
+export const attachSharedObject = (descriptor, call) => {
+    const SharedClass = getKind(descriptor.kind);
+    if (descriptor.buffer) {
+        return new SharedClass(descriptor.buffer, descriptor.options);
+    }
+    const proxy = Object.create(SharedClass.prototype);
+    for (const op of SharedClass.ops) {
+        proxy[op] = (...args) => call(op, args);
+    }
+    return proxy;
+};
+
+/**
+ * See if an operation can be run on a shared object for another thread
+ * @param {Object} object The shared object
+ * @param {String} op The operation
+ * @returns {boolean}
+ */
+export const isSharedOp = (object, op) => object.constructor.ops.indexOf(op) !== -1;
@@ -0,0 +1,72 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local libs
+import { RemoteWorker } from './RemoteWorker.js';
+import { browserEnvironment } from './BrowserEnvironment.js';
+
+/**
+ * A remote worker backed by a SharedWorker, which the pools of several tabs connect to
+ *
+ * The shared worker is named after the id, so every tab that spawns a worker with the same id
+ * (and script) connects to the same one, and knows it by the same id. Its ThreadPool sees each
+ * tab as a main thread of its own.
+ *
+ * Terminating it only disconnects this tab: the worker keeps running for the other tabs, and
+ * leaves the cluster by itself once no tab is connected to it.
+ */
+export class SharedRemoteWorker extends RemoteWorker {
+    /**
+     *
+     * @param {String} which The worker script URL
+     * @param {BrowserEnvironment} [environment] The environment adapter (defaults to the browser)
+     * @param {Object} [identity] More data to send with the ident message (ie. shared objects)
+     * @param {String} id The id of the worker, and the name of the shared worker
+     * @throws Error for invalid argument
+     */
+    constructor(which, environment = browserEnvironment, identity = {}, id) {
+        super(which, environment, identity, id);
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see RemoteWorker.createWorker
+     */
+    createWorker(which) {
+        return this.environment.createSharedWorker(which, this.id);
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see RemoteWorker.bindWorker
+     */
+    bindWorker(listeners) {
+        this.environment.bindSharedWorker(this.worker, listeners);
+    }
+
+    /**
+     * Disconnect this tab from the shared worker, which can't be terminated from a tab
+     * @returns {void}
+     */
+    terminateWorker() {
+        this.worker.port.postMessage({disconnect: true});
+        this.worker.port.close();
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see RemoteWorker.postMessage
+     */
+    postMessage(data, transferrable = undefined) {
+        if (!this.worker) {
+            return;
+        }
+        this.worker.port.postMessage(data, transferrable);
+    }
+}
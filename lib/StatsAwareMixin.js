@@ -0,0 +1,187 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local libs
+import { CommandStats } from './CommandStats.js';
+
+/**
+ * StatsAwareMixin counts the commands this thread sends, per remote thread and in total
+ *
+ * It expects to be applied on top of QueueAwareMixin. A command is counted as sent when it is
+ * dispatched to a thread, and as completed or failed when its callback is released. A command
+ * taken off a crashed thread to be re-sent counts as failed on that thread.
+ *
+ * @param {Function} superclass The super class you want to extend
+ */
+export const StatsAwareMixin = superclass => class StatsAwareMixin extends (superclass || class { }) {
+
+    /**
+     *
+     * @constructor
+     */
+    constructor() {
+        super(...arguments);
+        this.threadStats = {};
+        this.totalStats = new CommandStats();
+        this.statsTimer = null;
+    }
+
+    /**
+     * Configure the periodic 'stats' event
+     * @param {Object} [options]
+     * @param {Number} [options.statsInterval] Emit a 'stats' event with getStats() every this many milliseconds (defaults to never)
+     * @returns {void}
+     */
+    configureStats(options = {}) {
+        this.stopStats();
+        if (options.statsInterval > 0) {
+            this.statsTimer = setInterval(() =>
+                this.executeEventListeners('stats', this.getStats()), options.statsInterval);
+        }
+    }
+
+    /**
+     * Stop the periodic 'stats' event
+     * @returns {void}
+     */
+    stopStats() {
+        if (this.statsTimer) {
+            clearInterval(this.statsTimer);
+            this.statsTimer = null;
+        }
+    }
+
+    /**
+     * Get the statistics of the commands sent by this thread
+     * @returns {Object} {time, workers: {id: stats}, totals: stats, queue: {queued, blocked, pending}}
+     */
+    getStats() {
+        const workers = {};
+        for (const id of Object.keys(this.remotes).concat(Object.keys(this.threadStats))) {
+            workers[id] = this.getThreadStats(id).toJSON(this.pendingCounts[id] || 0);
+        }
+        return {
+            time: Date.now(),
+            workers,
+            totals: this.totalStats.toJSON(this.pending),
+            queue: {
+                queued: this.queued,
+                blocked: this.blocked,
+                pending: this.pending
+            }
+        };
+    }
+
+    /**
+     * Get the counters of a thread
+     * @param {String} threadId The thread id
+     * @returns {CommandStats}
+     */
+    getThreadStats(threadId) {
+        if (!(threadId in this.threadStats)) {
+            this.threadStats[threadId] = new CommandStats();
+        }
+        return this.threadStats[threadId];
+    }
+
+    /**
+     * Get the counters of the groups a thread is in, which count its commands too (none by default)
+     * @param {String} threadId The thread id
+     * @param {Promise} [callback] The callback of the command, if it is about one
+     * @returns {CommandStats[]}
+     */
+    getGroupStats(threadId, callback = null) {
+        return [];
+    }
+
+    /**
+     * Forget the counters of a thread that is gone (the totals keep them)
+     * @param {String} threadId The thread id
+     * @returns {void}
+     */
+    forgetStats(threadId) {
+        this.threadStats[threadId] = null;
+        delete this.threadStats[threadId];
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see RemoteAwareMixin.countBytes
+     */
+    countBytes(threadId, bytes) {
+        this.getThreadStats(threadId).recordBytes(bytes);
+        for (const stats of this.getGroupStats(threadId)) {
+            stats.recordBytes(bytes);
+        }
+        this.totalStats.recordBytes(bytes);
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see RemoteAwareMixin.setCallbackThread
+     */
+    setCallbackThread(callback, threadId) {
+        if (callback.thread && callback.sentAt) {
+            this.recordDone(callback.thread, callback, true);
+        }
+        super.setCallbackThread(callback, threadId);
+        // module loads are not commands
+        if (threadId && callback.command) {
+            callback.sentAt = Date.now();
+            this.getThreadStats(threadId).recordSent();
+            for (const stats of this.getGroupStats(threadId, callback)) {
+                stats.recordSent();
+            }
+            this.totalStats.recordSent();
+        }
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see RemoteAwareMixin.receiveCommandResult
+     */
+    receiveCommandResult(evt) {
+        const callback = this.callbacks[evt.data.returnId];
+        if (callback) {
+            callback.succeeded = !('error' in evt.data);
+        }
+        super.receiveCommandResult(evt);
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see QueueAwareMixin.releaseCallbackId
+     */
+    releaseCallbackId(callbackId) {
+        const callback = super.releaseCallbackId(callbackId);
+        if (callback && callback.thread && callback.sentAt) {
+            this.recordDone(callback.thread, callback, !callback.succeeded);
+        }
+        return callback;
+    }
+
+    /**
+     * Count a command that finished on a thread
+     * @param {String} threadId The thread id
+     * @param {Promise} callback The callback of the command
+     * @param {Boolean} failed Whether the command failed
+     * @returns {void}
+     */
+    recordDone(threadId, callback, failed) {
+        const latency = Date.now() - callback.sentAt;
+        callback.sentAt = null;
+        if (threadId in this.threadStats || threadId in this.remotes) {
+            this.getThreadStats(threadId).recordDone(latency, failed);
+        }
+        for (const stats of this.getGroupStats(threadId, callback)) {
+            stats.recordDone(latency, failed);
+        }
+        this.totalStats.recordDone(latency, failed);
+    }
+};
@@ -0,0 +1,222 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * A priority queue of callback ids, where the highest priority is taken first
+ *
+ * Waiting entries age: every `agingInterval` milliseconds spent in the queue counts as one extra
+ * priority level, so low priority work is never starved by a steady stream of higher priority
+ * work. Since every entry ages at the same rate, the order of two entries never changes while they
+ * wait, and the queue can be kept as a binary heap.
+ */
+export class TaskQueue {
+    /**
+     *
+     * @param {Object} [options]
+     * @param {Number} [options.agingInterval] Milliseconds of waiting worth one priority level (defaults to 1000, 0 disables aging)
+     */
+    constructor(options = {}) {
+        this.agingInterval = typeof options.agingInterval === 'number' ? options.agingInterval : 1000;
+        this.heap = [];
+        this.entries = {};
+        this.sequence = 0;
+    }
+
+    /**
+     * The number of entries in the queue
+     * @returns {Number}
+     */
+    get length() {
+        return this.heap.length;
+    }
+
+    /**
+     * See if a callback id is in the queue
+     * @param {String} callbackId The callback id
+     * @returns {boolean}
+     */
+    has(callbackId) {
+        return callbackId in this.entries;
+    }
+
+    /**
+     * Add a callback id to the queue
+     * @param {String} callbackId The callback id
+     * @param {Number} [priority] The priority, higher is taken first (defaults to 0)
+     * @param {Number} [enqueuedAt] When the entry started waiting (defaults to now)
+     * @returns {void}
+     */
+    push(callbackId, priority = 0, enqueuedAt = Date.now()) {
+        const entry = { callbackId, priority, enqueuedAt, sequence: this.sequence++, index: this.heap.length };
+        this.entries[callbackId] = entry;
+        this.heap.push(entry);
+        this.siftUp(entry.index);
+    }
+
+    /**
+     * Take the entry with the highest (aged) priority off the queue
+     * @returns {String|undefined} the callback id
+     */
+    shift() {
+        if (this.heap.length === 0) {
+            return undefined;
+        }
+        const callbackId = this.heap[0].callbackId;
+        this.remove(callbackId);
+        return callbackId;
+    }
+
+    /**
+     * Take the highest priority entry that passes a test off the queue
+     * @param {Function} test Called with each callback id, in priority order
+     * @returns {String|undefined} the callback id
+     */
+    shiftWhere(test) {
+        const skipped = [];
+        let callbackId = undefined;
+        while (this.heap.length !== 0) {
+            const entry = this.heap[0];
+            this.remove(entry.callbackId);
+            if (test(entry.callbackId)) {
+                callbackId = entry.callbackId;
+                break;
+            }
+            skipped.push(entry);
+        }
+        for (const entry of skipped) {
+            this.entries[entry.callbackId] = entry;
+            entry.index = this.heap.length;
+            this.heap.push(entry);
+            this.siftUp(entry.index);
+        }
+        return callbackId;
+    }
+
+    /**
+     * Remove a callback id from the queue
+     * @param {String} callbackId The callback id
+     * @returns {boolean} false if it was not queued
+     */
+    remove(callbackId) {
+        if (!(callbackId in this.entries)) {
+            return false;
+        }
+        const entry = this.entries[callbackId];
+        delete this.entries[callbackId];
+        const last = this.heap.pop();
+        if (last !== entry) {
+            this.heap[entry.index] = last;
+            last.index = entry.index;
+            this.siftUp(last.index);
+            this.siftDown(last.index);
+        }
+        return true;
+    }
+
+    /**
+     * Change the priority of a queued callback id, keeping the time it has waited
+     * @param {String} callbackId The callback id
+     * @param {Number} priority The new priority
+     * @returns {boolean} false if it is not queued
+     */
+    setPriority(callbackId, priority) {
+        if (!(callbackId in this.entries)) {
+            return false;
+        }
+        const entry = this.entries[callbackId];
+        entry.priority = priority;
+        this.siftUp(entry.index);
+        this.siftDown(entry.index);
+        return true;
+    }
+
+    /**
+     * Get the queued callback ids, highest priority first
+     * @returns {String[]}
+     */
+    toArray() {
+        return this.heap.slice().sort((a, b) => this.compare(b, a)).map(entry => entry.callbackId);
+    }
+
+    /**
+     * Compare two entries
+     * @param {Object} a
+     * @param {Object} b
+     * @returns {Number} greater than 0 if a goes first
+     */
+    compare(a, b) {
+        if (this.agingInterval > 0) {
+            // priority + (now - enqueuedAt) / agingInterval, without the shared "now"
+            const diff = (a.priority - b.priority) + (b.enqueuedAt - a.enqueuedAt) / this.agingInterval;
+            if (diff !== 0) {
+                return diff;
+            }
+        } else if (a.priority !== b.priority) {
+            return a.priority - b.priority;
+        }
+        return b.sequence - a.sequence;
+    }
+
+    /**
+     * Move an entry up the heap until its parent goes first
+     * @param {Number} index The heap index
+     * @returns {void}
+     */
+    siftUp(index) {
+        const heap = this.heap;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.compare(heap[index], heap[parent]) <= 0) {
+                break;
+            }
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    /**
+     * Move an entry down the heap until it goes before its children
+     * @param {Number} index The heap index
+     * @returns {void}
+     */
+    siftDown(index) {
+        const heap = this.heap;
+        for (;;) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let first = index;
+            if (left < heap.length && this.compare(heap[left], heap[first]) > 0) {
+                first = left;
+            }
+            if (right < heap.length && this.compare(heap[right], heap[first]) > 0) {
+                first = right;
+            }
+            if (first === index) {
+                return;
+            }
+            this.swap(index, first);
+            index = first;
+        }
+    }
+
+    /**
+     * Swap two heap entries
+     * @param {Number} i
+     * @param {Number} j
+     * @returns {void}
+     */
+    swap(i, j) {
+        const heap = this.heap;
+        const entry = heap[i];
+        heap[i] = heap[j];
+        heap[j] = entry;
+        heap[i].index = i;
+        heap[j].index = j;
+    }
+}
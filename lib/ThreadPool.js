@@ -8,29 +8,113 @@
  */
 
 // local libs
-import { getUniqueId } from './RemoteWorker';
-import { RemoteAwareMixin } from './RemoteAwareMixin';
-import { ListenerAwareMixin } from './ListenerAwareMixin';
+import { getUniqueId } from './RemoteWorker.js';
+import { RemoteAwareMixin } from './RemoteAwareMixin.js';
+import { ListenerAwareMixin } from './ListenerAwareMixin.js';
+import { QueueAwareMixin } from './QueueAwareMixin.js';
+import { TopicAwareMixin } from './TopicAwareMixin.js';
+import { StatsAwareMixin } from './StatsAwareMixin.js';
+import { CommandStats } from './CommandStats.js';
+import { CommandStream } from './CommandStream.js';
+import { CodecMismatchError, CommandError, CommandNotFoundError, WorkerCrashedError } from './Errors.js';
+import { serializeBareError, serializeError } from './ErrorSerializer.js';
+import { unwrapArguments, unwrapTransfer } from './Transfer.js';
+import { attachSharedObject } from './SharedMemory.js';
+import { compose } from './Middleware.js';
+import { HttpClient } from './HttpClient.js';
+
+/**
+ * See if a command result is a (async) iterator, ie. from a generator function
+ * @param {*} value The command result
+ * @returns {boolean}
+ */
+const isIterator = value => !!value && typeof value === 'object' && typeof value.next === 'function' &&
+    (typeof value[Symbol.asyncIterator] === 'function' || typeof value[Symbol.iterator] === 'function');
+
+/**
+ * Add the version of a module to its URL, so a new version is not served from the module cache
+ * @param {String} url The module URL
+ * @param {*} version The module version
+ * @returns {String}
+ */
+const versionedUrl = (url, version) => {
+    if (version === undefined || version === null || /^(data|blob):/.test(url)) {
+        return url;
+    }
+    return url + (url.indexOf('?') === -1 ? '?' : '&') + 'v=' + encodeURIComponent(version);
+};
 
 /**
  * The ThreadPool is used in a worker to receive commands from and communicate with the
  * WorkerPool that spawned it, and the sibling RemoteWorkers in the pool.
+ *
+ * In a SharedWorker, every tab that connects is a main thread of its own, with an id of the form
+ * 'master:<id>', and replies go back to the tab that sent the command. A tab that disconnects, or
+ * is closed, is forgotten, and the worker leaves the cluster once no tab is connected to it.
  */
-export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
+export class ThreadPool extends StatsAwareMixin(TopicAwareMixin(QueueAwareMixin(RemoteAwareMixin(ListenerAwareMixin())))) {
 
     /**
      *
-     * @param {Object} context The worker context / `self` global object
+     * @param {Object} context The worker context / `self` global object, of a dedicated or a shared worker (or `parentPort` in Node.js)
+     * @param {Object} [options] Thread options
+     * @param {BrowserEnvironment} [options.environment] The environment adapter, ie. a NodeEnvironment for worker_threads (defaults to the browser)
+     * @param {String|Object|Function} [options.strategy] The balance strategy (defaults to 'round-robin')
+     * @param {Object} [options.strategyOptions] Options for a named balance strategy
+     * @param {Object} [options.affinity] Options for the routing of commands with an affinityKey ({replicas, maxPending}, see setAffinity)
+     * @param {Number} [options.maxConcurrentPerWorker] The most commands this thread has running on each thread at once, the rest are queued (defaults to Infinity)
+     * @param {Number} [options.maxQueueSize] The most commands waiting in the queue (defaults to Infinity)
+     * @param {String} [options.onQueueFull] 'reject' or 'block' new commands when the queue is full (defaults to 'reject')
+     * @param {Number} [options.agingInterval] Milliseconds a queued command waits to gain one priority level (defaults to 1000, 0 disables aging)
+     * @param {Boolean} [options.autoTransfer] Transfer every ArrayBuffer, MessagePort, etc. found in command results and arguments instead of copying it (defaults to false)
+     * @param {Boolean} [options.tupleResults] Deprecated: read command results that are arrays as [data, transferList] tuples, like version 1.0 did (defaults to false)
+     * @param {Number} [options.statsInterval] Emit a 'stats' event with getStats() every this many milliseconds (defaults to never)
+     * @param {Object} [options.http] Defaults for the HTTP client, created on first use (see HttpClient)
+     * @param {String|Object} [options.codec] The message codec, the same as the WorkerPool's (defaults to 'structured-clone')
      */
-    constructor(context) {
+    constructor(context, options = {}) {
         super();
         this.id = null;
+        // the worker group of the pool this thread was spawned in
+        this.group = null;
         this.httpAuth = null;
         this.httpAccessToken = null;
+        this.httpOptions = options.http;
+        this.httpClient = null;
         this.ports = {};
         this.commands = {};
+        this.advertising = false;
+        this.middleware = [];
+        this.executing = {};
+        // the ports of the tabs connected to a shared worker, by master id (null in a dedicated worker)
+        this.masters = null;
+        this.executionStats = new CommandStats();
+        this.shared = {};
+        this.modules = {};
+        this.loadingModules = {};
         this.context = context;
-        this.context.addEventListener('message', evt => this.messageListener(evt));
+        if (options.environment) {
+            this.environment = options.environment;
+        }
+        if (options.strategy) {
+            this.setStrategy(options.strategy, options.strategyOptions);
+        }
+        if (options.affinity) {
+            this.setAffinity(options.affinity);
+        }
+        this.configureQueue(options);
+        this.autoTransfer = !!options.autoTransfer;
+        this.tupleResults = !!options.tupleResults;
+        this.configureStats(options);
+        if (options.codec) {
+            this.setCodec(options.codec);
+        }
+        if (this.environment.isSharedWorkerContext(this.context)) {
+            this.masters = {};
+            this.environment.addConnectListener(this.context, port => this.connectMaster(port));
+        } else {
+            this.environment.addMessageListener(this.context, evt => this.messageListener(evt));
+        }
     }
 
     /**
@@ -48,8 +132,8 @@ export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
     postRemoteMessage(data, transferable = undefined) {
         if (!this.hasRemotes()) {
             // handle the message ourself
-            this.messageListener(data); // TODO: will data be the same as the event from postMessage ?
-            return;
+            this.messageListener(this.createMessageEvent(data));
+            return this.id;
         }
         return super.postRemoteMessage(...arguments);
     }
@@ -63,7 +147,7 @@ export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
             data.thread = this.id;
         }
         if (this.isMasterThread(threadId)) {
-            return this.sendMessageToMaster(data, transferable);
+            return this.sendMessageToMaster(data, transferable, threadId);
         }
         if (this.isThisThread(threadId) || !this.hasRemotes()) {
             this.messageListener(this.createMessageEvent(data));
@@ -76,28 +160,138 @@ export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
      * Send a message to the main thread that spawned this worker context
      * @param {*} data The data to send
      * @param {Object[]} [transferable] Transferable objects to send to the worker (MessagePort, etc)
-     * @returns {boolean}
+     * @param {String} [threadId] The id of the main thread, for a shared worker (defaults to 'master')
+     * @returns {boolean} false if the main thread is not connected
      */
-    sendMessageToMaster(data, transferable = undefined) {
-        if (!transferable || transferable.length === 0) {
-            data = JSON.parse(JSON.stringify(data));
+    sendMessageToMaster(data, transferable = undefined, threadId = this.MASTER_THREAD) {
+        if (this.masters && !(threadId in this.masters)) {
+            return false;
         }
+        const { message, transferList, bytes } = this.encodeMessage(data, transferable);
+        this.countBytes(threadId, bytes);
         //console.log('thread', this.id, 'is sending data to master', ' ----- keys', Object.keys(data), ' ----- data', JSON.stringify(data).substr(0, 150));
-        this.context.postMessage(data, transferable);
+        this.postMessageToMaster(message, transferList, threadId);
         return true;
     }
 
+    /**
+     * Post a message to the main thread as it is, without the codec
+     * @param {*} message The message
+     * @param {Object[]} [transferable] Transferable objects to send to the worker (MessagePort, etc)
+     * @param {String} [threadId] The id of the main thread, for a shared worker (defaults to 'master')
+     * @returns {void}
+     */
+    postMessageToMaster(message, transferable = undefined, threadId = this.MASTER_THREAD) {
+        (this.masters ? this.masters[threadId] : this.context).postMessage(message, transferable);
+    }
+
+    /**
+     * Get the ids of the main threads, 'master' or those connected to a shared worker
+     * @returns {String[]}
+     */
+    getMasterIds() {
+        return this.masters ? Object.keys(this.masters) : [this.MASTER_THREAD];
+    }
+
+    /**
+     * Accept a tab connecting to this shared worker, as a main thread of its own
+     * @param {MessagePort} port The port of the connection
+     * @returns {String} the id of the main thread
+     */
+    connectMaster(port) {
+        const id = this.MASTER_THREAD + ':' + getUniqueId();
+        this.masters[id] = port;
+        this.environment.addMessageListener(port, evt => this.masterListener(id, evt));
+        port.start();
+        this.executeEventListeners('master-connected', {id});
+        return id;
+    }
+
+    /**
+     * Receive a message from a tab connected to this shared worker
+     * @param {String} id The id of the main thread
+     * @param {MessageEvent} evt The event
+     * @returns {void}
+     */
+    masterListener(id, evt) {
+        if (!(id in this.masters)) {
+            return;
+        }
+        evt = this.decodeMessageEvent(evt);
+        if (evt && evt.data && typeof evt.data === 'object') {
+            if (evt.data.disconnect) {
+                this.removeMaster(id);
+                return;
+            }
+            // every tab calls itself 'master', replies have to go back to this one
+            evt.data.thread = id;
+        }
+        this.messageListener(evt);
+    }
+
+    /**
+     * Forget a tab that disconnected from this shared worker, or was closed
+     *
+     * The commands it sent that are still running are cancelled. Once no tab is left, the worker
+     * leaves the cluster and closes.
+     *
+     * @param {String} id The id of the main thread
+     * @returns {boolean} false if it is not connected
+     */
+    removeMaster(id) {
+        if (!this.masters || !(id in this.masters)) {
+            return false;
+        }
+        this.masters[id].close();
+        this.masters[id] = null;
+        delete this.masters[id];
+        this.forgetSubscriber(id);
+        this.forgetStats(id);
+        for (const callbackId in this.executing) {
+            if (this.executing[callbackId].thread === id) {
+                this.cancelExecution(callbackId);
+            }
+        }
+        this.executeEventListeners('master-disconnected', {id});
+        if (Object.keys(this.masters).length === 0) {
+            this.leave();
+        }
+        return true;
+    }
+
+    /**
+     * Leave the cluster, once no tab is connected to this shared worker: the siblings forget it,
+     * and the worker closes
+     * @returns {void}
+     */
+    leave() {
+        for (const threadId in this.remotes) {
+            this.sendMessageToRemote(threadId, {remote: this.id, terminate: true});
+        }
+        for (const threadId of Object.keys(this.remotes).concat(Object.keys(this.ports))) {
+            this.removeRemote(threadId);
+        }
+        if (typeof this.context.close === 'function') {
+            this.context.close();
+        }
+    }
+
     /**
      * Receive a message from the main thread
      * @param {MessageEvent} evt The event
      * @returns {void}
      */
     messageListener(evt) {
+        evt = this.decodeMessageEvent(evt);
         if (evt && typeof evt.data === 'object') {
             if (evt.data.ident) {
                 this.ident(evt);
                 return;
             }
+            if (evt.data.shared) {
+                this.attachShared(evt.data.shared);
+                return;
+            }
             if (evt.data.remote) {
                 this.remoteIdent(evt);
                 return;
@@ -106,20 +300,49 @@ export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
                 this.remotePortIdent(evt);
                 return;
             }
+            if (evt.data.loadModule) {
+                this.receiveModule(evt);
+                return;
+            }
+            if (evt.data.unloadModule) {
+                this.unloadModule(evt.data.unloadModule);
+                return;
+            }
+            if (evt.data.cancel) {
+                this.cancelExecution(evt.data.cancel);
+                return;
+            }
             if (evt.data.cmd) {
                 this.executeCommand(evt);
                 return;
             }
+            if (evt.data.subscribe || evt.data.unsubscribe) {
+                this.receiveSubscriptions(evt);
+                return;
+            }
+            if (evt.data.capabilities) {
+                this.receiveCapabilities(evt);
+                return;
+            }
+            if (evt.data.publish) {
+                this.receivePublication(evt);
+                return;
+            }
+            if (evt.data.progressId) {
+                this.receiveCommandProgress(evt);
+                return;
+            }
             if (evt.data.returnId) {
                 this.receiveCommandResult(evt);
                 return;
             }
-            if (evt.data.setHttpAccessToken) {
+            // null and '' clear the credentials
+            if ('setHttpAccessToken' in evt.data) {
                 this.setHttpAccessToken(evt.data.setHttpAccessToken);
                 return;
             }
-            if (evt.data.setHttpAuth) {
-                this.setHttpAuthorization(evt.data.setHttpAuth);
+            if ('setHttpAuthorization' in evt.data) {
+                this.setHttpAuthorization(evt.data.setHttpAuthorization);
                 return;
             }
         }
@@ -128,67 +351,440 @@ export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
 
     /**
      * Execute a command from a message event
+     *
+     * The command function is called with a context object as `this`, holding the `cmd`, `args`,
+     * calling `thread`, `callbackId`, the `meta` sent along with the command and an AbortSignal
+     * (`signal`) that is aborted when the caller cancels the command or it times out. The same
+     * object is the `ctx` of the middleware (see use()), which the command runs inside of.
+     *
+     * The value it returns (or resolves) is the result. Return a Transfer (see transfer()) to
+     * move ArrayBuffers, MessagePorts, etc. to the caller instead of copying them.
+     *
+     * Long running commands report progress with `this.progress(data)`. A command that returns
+     * a (async) generator has every yielded value sent as progress, and the value it returns
+     * is the result.
+     *
      * @param {MessageEvent} evt The command event object
      * @returns {void}
      */
     executeCommand(evt) {
-        const { cmd, args, thread, callbackId } = evt.data;
-        if (!(cmd in this.commands)) {
-            this.sendMessageToRemote(thread, {
-                returnId: callbackId,
-                error: new Error('Command not found: ' + cmd)
+        const { cmd, args, thread, callbackId, meta } = evt.data;
+        const controller = new AbortController();
+        const context = {
+            cmd,
+            args,
+            thread,
+            callbackId,
+            meta: meta || {},
+            signal: controller.signal,
+            progress: data => this.sendCommandProgress(thread, callbackId, data, controller.signal),
+            result: undefined
+        };
+        this.executing[callbackId] = { controller, thread };
+        const startedAt = Date.now();
+        this.executionStats.recordSent();
+        const response = compose(this.middleware)(context, () => new Promise(resolve => {
+            if (!(context.cmd in this.commands)) {
+                throw new CommandNotFoundError(context.cmd, callbackId);
+            }
+            resolve(this.commands[context.cmd].call(context, thread, ...context.args));
+        })
+            .then(result => isIterator(result) ? this.drainIterator(result, context) : result)
+            .then(result => {
+                context.result = result;
+            })
+        ).then(() => context.result);
+        response
+            //.then(data => { console.log('thread', this.id, 'got response from command', cmd, 'originating from thread', thread, ' ----- ', JSON.stringify(data).substr(0, 150)); return data; })
+            .then(result => {
+                this.executionStats.recordDone(Date.now() - startedAt, controller.signal.aborted);
+                if (!controller.signal.aborted) {
+                    const { value, transferList } = this.unwrapResult(result);
+                    this.sendMessageToRemote(thread, { data: value, returnId: callbackId }, transferList);
+                }
+            })
+            .catch(err => {
+                this.executionStats.recordDone(Date.now() - startedAt, true);
+                if (!controller.signal.aborted) {
+                    this.sendErrorReply(thread, callbackId, err);
+                }
+            })
+            .then(() => {
+                this.executing[callbackId] = null;
+                delete this.executing[callbackId];
             });
-            return;
+    }
+
+    /**
+     * Send every value of a command's iterator as progress, resolving with its return value
+     * @param {Iterator|AsyncIterator} iterator The iterator returned by the command
+     * @param {Object} context The command context
+     * @returns {Promise}
+     */
+    drainIterator(iterator, context) {
+        const step = () => Promise.resolve(iterator.next()).then(({ value, done }) => {
+            if (done) {
+                return value;
+            }
+            if (context.signal.aborted) {
+                if (typeof iterator.return === 'function') {
+                    iterator.return();
+                }
+                return undefined;
+            }
+            context.progress(value);
+            return step();
+        });
+        return step();
+    }
+
+    /**
+     * Split a command result into the value to send and the objects to transfer
+     *
+     * With the deprecated tupleResults option, an array result is a [data, transferList] tuple.
+     *
+     * @param {*} result The command result (or a Transfer)
+     * @returns {{value: *, transferList: Object[]}}
+     */
+    unwrapResult(result) {
+        if (this.tupleResults && Array.isArray(result)) {
+            return { value: result[0], transferList: result[1] || [] };
         }
-        let response = this.commands[cmd].call(null, thread, ...args);
-        if (!(response instanceof Promise)) {
-            response = Promise.resolve(response);
+        return unwrapTransfer(result, this.autoTransfer);
+    }
+
+    /**
+     * Send progress (or a partial result) of a command to the thread waiting on it
+     * @param {String} thread The thread waiting on the command
+     * @param {String} callbackId The callback id of the command
+     * @param {*} data The progress data (or a Transfer)
+     * @param {AbortSignal} [signal] Progress is not sent once this is aborted
+     * @returns {boolean}
+     */
+    sendCommandProgress(thread, callbackId, data, signal = null) {
+        if (signal && signal.aborted) {
+            return false;
         }
-        response
-            //.then(data => { console.log('thread', this.id, 'got response from command', cmd, 'originating from thread', thread, ' ----- ', JSON.stringify(data).substr(0, 150)); return data; })
-            .then(([data, transferable]) => this.sendMessageToRemote(thread, { data, returnId: callbackId }, transferable))
-            .catch(err => this.sendMessageToRemote(thread, {
-                error: err.stack || err.message || JSON.stringify(err),
-                returnId: callbackId,
-                previousEvent: evt
-            }));
+        const { value, transferList } = unwrapTransfer(data, this.autoTransfer);
+        return this.sendMessageToRemote(thread, { data: value, progressId: callbackId }, transferList);
     }
 
     /**
-     * Receive identity information about this worker thread (ourselves) from the main thread
+     * Abort the signal of a command that is executing on this thread
+     * @param {String} callbackId The callback id of the command
+     * @returns {boolean} false if the command is not executing
+     */
+    cancelExecution(callbackId) {
+        if (!(callbackId in this.executing)) {
+            return false;
+        }
+        const { controller } = this.executing[callbackId];
+        this.executing[callbackId] = null;
+        delete this.executing[callbackId];
+        controller.abort();
+        return true;
+    }
+
+    /**
+     * Receive identity information about this worker thread (ourselves) from the main thread, acknowledging it
+     *
+     * The identity is refused, with a CodecMismatchError in the acknowledgement, when the pool uses
+     * another message codec.
+     *
      * @param {MessageEvent} evt The event
      * @returns {void}
      */
     ident(evt) {
+        // the tab that sent it, in a shared worker
+        const master = evt.data.thread || this.MASTER_THREAD;
+        if (evt.data.codec && evt.data.codec !== this.codec.name) {
+            // refused, as it is, since the pool can't decode our messages
+            const error = new CodecMismatchError(evt.data.codec, this.codec.name);
+            this.postMessageToMaster({
+                ack: 'ident',
+                error: serializeError(error, evt.data.ident),
+                thread: evt.data.ident
+            }, undefined, master);
+            return;
+        }
         this.id = evt.data.ident;
+        this.group = evt.data.group || null;
+        if (evt.data.shared) {
+            this.attachShared(evt.data.shared);
+        }
+        if (evt.data.lock && this.masters) {
+            // released when the tab is closed
+            this.environment.waitForLock(evt.data.lock).then(() => this.removeMaster(master));
+        }
+        // subscriptions made while starting up
+        this.sendSubscriptions(master);
+        // the modules of the pool are loaded before this thread is ready for commands
+        Promise.all((evt.data.modules || []).map(module => this.loadModule(module).catch(err => {
+            this.sendMessageToRemote(master, {
+                moduleError: serializeError(err, this.id),
+                module: module.name,
+                version: module.version
+            });
+        }))).then(() => {
+            this.sendCapabilities(master);
+            this.sendMessageToRemote(master, {ack: 'ident'});
+        });
+    }
+
+    /**
+     * Load a module of commands, replacing the commands of an earlier version of it
+     *
+     * The default export of the module (or `self.workerpoolModule`, set by a classic script) is
+     * an object of commands by name, or a function called with this thread that returns (or
+     * resolves) one. When a version is given, it is added to the URL so it is not served from the
+     * module cache.
+     *
+     * @param {Object} module The module
+     * @param {String} module.name The module name, which a later version replaces
+     * @param {String} module.url The module URL
+     * @param {*} [module.version] The module version
+     * @param {String} [module.type] 'module' for an ES module, or 'classic' for a script loaded with importScripts (defaults to 'module')
+     * @returns {Promise} resolves with the names of the commands registered
+     */
+    loadModule(module) {
+        const { name, url, version } = module;
+        const type = module.type || 'module';
+        const loading = {};
+        this.loadingModules[name] = loading;
+        return this.environment.importModule(versionedUrl(this.environment.resolveModuleUrl(url), version), type)
+            .then(exports => {
+                let exported = exports && (exports.default !== undefined ? exports.default : exports.commands);
+                if (type === 'classic') {
+                    exported = this.context.workerpoolModule;
+                    delete this.context.workerpoolModule;
+                }
+                return typeof exported === 'function' ? exported(this) : exported;
+            })
+            .then(commands => {
+                if (this.loadingModules[name] !== loading) {
+                    // unloaded, or replaced by another version, while it was loading
+                    return [];
+                }
+                delete this.loadingModules[name];
+                if (!commands || typeof commands !== 'object') {
+                    throw new Error('Module, ' + name + ', did not export any commands');
+                }
+                this.removeModuleCommands(name);
+                for (const cmd in commands) {
+                    this.registerCommand(cmd, commands[cmd]);
+                }
+                this.modules[name] = { url, version, commands };
+                return Object.keys(commands);
+            }, err => {
+                if (this.loadingModules[name] === loading) {
+                    delete this.loadingModules[name];
+                }
+                throw err;
+            });
+    }
+
+    /**
+     * Unload a module, removing the commands it registered
+     * @param {String} name The module name
+     * @returns {boolean} false if the module is not loaded
+     */
+    unloadModule(name) {
+        delete this.loadingModules[name];
+        if (!(name in this.modules)) {
+            return false;
+        }
+        this.removeModuleCommands(name);
+        return true;
+    }
+
+    /**
+     * Remove the commands of a module, unless they were registered again since
+     * @param {String} name The module name
+     * @returns {void}
+     */
+    removeModuleCommands(name) {
+        if (!(name in this.modules)) {
+            return;
+        }
+        const commands = this.modules[name].commands;
+        for (const cmd in commands) {
+            if (this.commands[cmd] === commands[cmd]) {
+                delete this.commands[cmd];
+            }
+        }
+        this.modules[name] = null;
+        delete this.modules[name];
+        this.advertiseCommands();
     }
 
     /**
-     * Recieve identity information about other remote workers inside the same cluster
+     * Load a module sent by the main thread, replying with the commands it registered
+     * @param {MessageEvent} evt The event ({loadModule, callbackId})
+     * @returns {void}
+     */
+    receiveModule(evt) {
+        const { loadModule, callbackId, thread } = evt.data;
+        this.loadModule(loadModule)
+            .then(commands => this.sendMessageToRemote(thread, { data: commands, returnId: callbackId }))
+            .catch(err => this.sendErrorReply(thread, callbackId, err));
+    }
+
+    /**
+     * Reply to a command with the error it failed with
+     *
+     * An error with a custom field that can't be cloned (a function in an object, a socket, ...)
+     * is sent with only its name, message and stack, instead of failing to send.
+     *
+     * @param {String} thread The thread waiting on the command
+     * @param {String} callbackId The callback id of the command
+     * @param {*} err The error (or the value thrown)
+     * @returns {boolean}
+     */
+    sendErrorReply(thread, callbackId, err) {
+        try {
+            return this.sendMessageToRemote(thread, { error: serializeError(err, this.id), returnId: callbackId });
+        } catch (cloneError) {
+            return this.sendMessageToRemote(thread, { error: serializeBareError(err, this.id), returnId: callbackId });
+        }
+    }
+
+    /**
+     * Attach to the objects the main thread shares with the pool
+     * @param {Object[]} descriptors The descriptors of the shared objects
+     * @returns {void}
+     */
+    attachShared(descriptors) {
+        for (const descriptor of descriptors) {
+            this.shared[descriptor.name] = attachSharedObject(descriptor,
+                (op, args) => this.sendSharedOp(descriptor.name, op, args));
+        }
+    }
+
+    /**
+     * {@inheritDoc}
+     *
+     * Adds `executed`, the statistics of the commands this thread executed for others.
+     *
+     * @see StatsAwareMixin.getStats
+     */
+    getStats() {
+        const stats = super.getStats();
+        stats.executed = this.executionStats.toJSON(Object.keys(this.executing).length);
+        return stats;
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see TopicAwareMixin.getTopicPeers
+     */
+    getTopicPeers() {
+        const peers = Object.keys(this.remotes);
+        if (this.id) {
+            // the main threads are not remotes, and can only be reached once we have an id
+            peers.push(...this.getMasterIds());
+        }
+        return peers;
+    }
+
+    /**
+     * Get an object shared by the main thread
+     * @param {String} name The name of the object
+     * @returns {SharedCounter|SharedQueue|SharedStore|SharedMutex|null}
+     */
+    getShared(name) {
+        return this.shared[name] || null;
+    }
+
+    /**
+     * Run an operation on a shared object on the main thread, when memory is not shared
+     * @param {String} name The name of the object
+     * @param {String} op The operation
+     * @param {Array} args The arguments of the operation
+     * @returns {Promise}
+     */
+    sendSharedOp(name, op, args) {
+        const callbackId = this.getUniqueId();
+        const promise = this.registerCallbackId(callbackId);
+        this.sendMessageToMaster({sharedOp: {name, op, args}, callbackId, thread: this.id});
+        return promise;
+    }
+
+    /**
+     * Recieve identity information about other remote workers inside the same cluster, acknowledging them
      * @param {MessageEvent} evt The event
      * @returns {void}
      */
     remoteIdent(evt) {
         if (evt.data.terminate) {
-            this.remotes[evt.data.remote] = null;
-            delete this.remotes[evt.data.remote];
+            this.removeRemote(evt.data.remote, evt.data.crashed);
             return;
         }
-        this.remotes[evt.data.remote] = evt.ports[0];
-        evt.ports[0].start();
+        const port = evt.data.port || evt.ports[0];
+        const master = evt.data.thread || this.MASTER_THREAD;
+        if (evt.data.remote in this.remotes) {
+            // a shared worker is already connected to its siblings by the first tab
+            port.close();
+            this.sendMessageToRemote(master, {ack: 'remote:' + evt.data.remote});
+            return;
+        }
+        this.remotes[evt.data.remote] = port;
+        port.start();
+        this.sendMessageToRemote(master, {ack: 'remote:' + evt.data.remote});
+        this.sendSubscriptions(evt.data.remote);
+        this.sendCapabilities(evt.data.remote);
+    }
+
+    /**
+     * Forget a remote thread that was terminated, closing its ports and rejecting the commands
+     * this thread is still waiting on from it
+     * @param {String} threadId The id of the remote thread
+     * @param {Boolean} [crashed] Whether the remote thread crashed
+     * @returns {void}
+     */
+    removeRemote(threadId, crashed = false) {
+        this.forgetSubscriber(threadId);
+        this.forgetCapabilities(threadId);
+        this.forgetStats(threadId);
+        if (threadId in this.remotes) {
+            this.remotes[threadId].close();
+            this.remotes[threadId] = null;
+            delete this.remotes[threadId];
+        }
+        if (threadId in this.ports) {
+            this.ports[threadId].close();
+            this.ports[threadId] = null;
+            delete this.ports[threadId];
+        }
+        for (const callbackId in this.callbacks) {
+            const callback = this.callbacks[callbackId];
+            if (callback.thread === threadId || (callback.command && callback.command.thread === threadId)) {
+                this.releaseCallbackId(callbackId).reject(crashed ?
+                    new WorkerCrashedError(threadId, null, callbackId) :
+                    new CommandError('Remote thread, ' + threadId + ', was terminated', callbackId));
+            }
+        }
     }
 
     /**
-     * Receive an incoming port from another thread
+     * Receive an incoming port from another thread, acknowledging it
      * @param {MessageEvent} evt The event
      * @returns {void}
      */
     remotePortIdent(evt) {
         const threadId = evt.data.listen;
-        this.ports[threadId] = evt.ports[0];
-        evt.ports[0].start();
-        evt.ports[0].addEventListener('message', e => this.portListener(threadId, e));
-        evt.ports[0].addEventListener('error', err => this.errorListener(err));
+        const port = evt.data.port || evt.ports[0];
+        const master = evt.data.thread || this.MASTER_THREAD;
+        if (threadId in this.ports) {
+            // a shared worker is already connected to its siblings by the first tab
+            port.close();
+            this.sendMessageToRemote(master, {ack: 'listen:' + threadId});
+            return;
+        }
+        this.ports[threadId] = port;
+        port.start();
+        this.environment.addMessageListener(port, e => this.portListener(threadId, e));
+        this.environment.addErrorListener(port, err => this.errorListener(err));
+        this.sendMessageToRemote(master, {ack: 'listen:' + threadId});
     }
 
     /**
@@ -211,8 +807,8 @@ export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
             this.sendMessageToRemote(error.thread, error);
             return;
         }
-        this.executeMessageListeners(evt,
-            new MessageEvent('message', {data: {error}}));
+        this.executeMessageListeners(
+            this.createMessageEvent({error}));
     }
 
     /**
@@ -226,51 +822,243 @@ export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
             throw new Error('Not a function');
         }
         this.commands[name] = fn;
+        this.advertiseCommands();
+    }
+
+    /**
+     * Tell the main thread and the siblings which commands this thread can handle, once the
+     * commands registered in the same tick are in
+     * @returns {void}
+     */
+    advertiseCommands() {
+        if (this.advertising) {
+            return;
+        }
+        this.advertising = true;
+        Promise.resolve().then(() => {
+            this.advertising = false;
+            for (const threadId of this.getTopicPeers()) {
+                this.sendCapabilities(threadId);
+            }
+        });
+    }
+
+    /**
+     * Tell another thread which commands this thread can handle
+     * @param {String} threadId The thread id
+     * @returns {void}
+     */
+    sendCapabilities(threadId) {
+        this.sendMessageToRemote(threadId, {capabilities: Object.keys(this.commands)});
+    }
+
+    /**
+     * {@inheritDoc}
+     *
+     * Includes the commands of this thread.
+     *
+     * @see RemoteAwareMixin.listCommands
+     */
+    listCommands() {
+        const commands = super.listCommands();
+        if (this.id) {
+            commands[this.id] = Object.keys(this.commands);
+        }
+        return commands;
+    }
+
+    /**
+     * Add a middleware for the commands this thread executes
+     *
+     * Middleware is Koa-style, called with (ctx, next) where ctx is the context of the command
+     * (`cmd`, `args`, calling `thread`, `callbackId`, `meta`, `signal`, ...). `await next()` runs the
+     * rest of the chain and the command, after which `ctx.result` holds the result, which can be
+     * replaced. Throwing rejects the command, and not calling next() skips the command.
+     * Middleware runs in the order it was added.
+     *
+     * @param {Function} fn The middleware
+     * @returns {this}
+     * @throws TypeError on invalid argument
+     */
+    use(fn) {
+        if (typeof fn !== 'function') {
+            throw new TypeError('Middleware must be a function');
+        }
+        this.middleware.push(fn);
+        return this;
     }
 
     /**
      * Send a command to another remote thread in the cluster
+     *
+     * The command goes to a sibling that can handle it, or runs here when none can. It is rejected
+     * with a CommandNotFoundError when no thread can handle it.
+     *
      * @param {String} name The name of the command
      * @param {Array} [args] The arguments to send to the command
-     * @param {String} [thread] The thread to send to, if not given, the next remote key is used
+     * @param {String|Object} [thread] The thread to send to (this thread's own id runs it here), if not given, the next remote key is used (or the options)
+     * @param {Object} [options] Command options
+     * @param {Number} [options.timeout] Reject with a TimeoutError if no reply arrives within this many milliseconds
+     * @param {AbortSignal} [options.signal] Cancel the command when this signal is aborted
+     * @param {Number} [options.priority] Commands with a higher priority are dispatched first (defaults to 0)
+     * @param {Object[]} [options.transfer] Objects in the arguments to transfer instead of copy (arguments wrapped with transfer() are added)
+     * @param {Function} [options.onProgress] Receives the progress updates of the command
+     * @param {Object} [options.meta] Metadata sent along with the command, which middleware on the executing thread sees as `ctx.meta`
+     * @param {*} [options.affinityKey] Commands with the same key go to the same thread while it is available
      * @returns {Promise}
      * @throws Error on invalid argument
      */
-    sendCommand(name, args = [], thread = null) {
+    sendCommand(name, args = [], thread = null, options = {}) {
+        if (thread && typeof thread === 'object') {
+            options = thread;
+            thread = options.thread || null;
+        }
+        return this.interceptCommand(name, args, Object.assign({}, options, { thread }),
+            (name, args, options) => this.enqueueCommand(name, args, options.thread || null, options));
+    }
+
+    /**
+     * Queue a command for a thread, after the interceptors
+     * @param {String} name The name of the command
+     * @param {Array} args The arguments to send to the command
+     * @param {String|null} thread The thread to send to
+     * @param {Object} options Command options, as for sendCommand
+     * @returns {Promise}
+     */
+    enqueueCommand(name, args, thread, options) {
         const callbackId = getUniqueId();
-        const promise = this.registerCallbackId(callbackId);
-        if (!(name in this.commands)) {
-            promise.reject(new Error('Invalid Command'));
+        const promise = this.registerCallbackId(callbackId, options);
+        if (!(callbackId in this.callbacks)) {
+            // already aborted
             return promise;
         }
-        if (!this.hasRemotes()) {
-            // execute the command locally
-            this.executeCommand({
-                thread: this.id,
-                cmd: name,
-                args,
-                callbackId
-            });
+        const local = name in this.commands;
+        const capable = this.hasRemotes() && this.getCapableRemoteKeys(name).length !== 0;
+        if (!thread && !capable && local) {
+            // no sibling can handle it
+            thread = this.id;
+        }
+        if (!local && (!this.hasRemotes() || (thread ? this.isThisThread(thread) : !capable))) {
+            this.releaseCallbackId(callbackId);
+            promise.reject(new CommandNotFoundError(name, callbackId));
+            return promise;
+        }
+        const { value, transferList } = unwrapArguments(args, options.transfer, this.autoTransfer);
+        if (this.hasRemotes() && thread && this.isThisThread(thread)) {
+            // run it here, outside of the queue
+            promise.command = {
+                name,
+                args: value,
+                transfer: transferList,
+                thread,
+                meta: options.meta,
+                affinityKey: options.affinityKey
+            };
+            this.setCallbackThread(promise, thread);
+            this.sendQueuedCommand(thread, callbackId, promise.command);
             return promise;
         }
-        if (!thread) {
-            thread = this.getNextRemoteKey();
-        } else if (!(thread in this.remotes)) {
+        if (!this.hasRemotes()) {
+            // the command is executed locally
+            thread = null;
+        } else if (thread && !(thread in this.remotes)) {
+            this.releaseCallbackId(callbackId);
             promise.reject(new Error('Invalid Thread'));
             return promise;
         }
-        const sent = this.sendMessageToRemote(thread, {
-            cmd: name,
-            args,
+        promise.command = {
+            name,
+            args: value,
+            transfer: transferList,
             thread,
-            callbackId
-        });
-        if (!sent) {
-            promise.reject(new Error('Unable to send to thread, ' + thread));
-        }
+            meta: options.meta,
+            affinityKey: options.affinityKey
+        };
+        this.enqueue(callbackId, options.priority || 0);
         return promise;
     }
 
+    /**
+     * Send a command to another remote thread in the cluster, and iterate over its progress
+     * @param {String} name The name of the command
+     * @param {Array} [args] The arguments to send to the command
+     * @param {String|Object} [thread] The thread to send to, if not given, the next remote key is used (or the options)
+     * @param {Object} [options] Command options, as for sendCommand
+     * @returns {CommandStream}
+     */
+    streamCommand(name, args = [], thread = null, options = {}) {
+        if (thread && typeof thread === 'object') {
+            options = thread;
+            thread = options.thread || null;
+        }
+        const stream = new CommandStream();
+        const promise = this.sendCommand(name, args, thread, Object.assign({}, options, {
+            onProgress: data => {
+                stream.push(data);
+                if (options.onProgress) {
+                    options.onProgress(data);
+                }
+            }
+        }));
+        stream.attach(promise, () => this.cancelCommand(promise.callbackId));
+        return stream;
+    }
+
+    /**
+     * Run a command on every thread in the cluster that can handle it
+     *
+     * Arguments are copied to each thread, so they can't be transferred.
+     *
+     * @param {String} name The name of the command
+     * @param {Array} [args] The arguments to send to the command
+     * @param {Object} [options] Command options, as for sendCommand (the timeout applies to each thread)
+     * @param {Boolean} [options.allSettled] Resolve with the outcome of every thread ({status, value} or {status, reason}) instead of rejecting on the first failure
+     * @param {Boolean} [options.includeSelf] Run the command on this thread as well (defaults to true)
+     * @returns {Promise} resolves with a map of thread id to result
+     */
+    broadcastCommand(name, args = [], options = {}) {
+        const threadIds = this.getCapableRemoteKeys(name);
+        if (options.includeSelf !== false && name in this.commands) {
+            threadIds.unshift(this.id);
+        }
+        return this.gatherCommandResults(threadIds,
+            thread => this.sendCommand(name, args, thread, options),
+            options.allSettled);
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see QueueAwareMixin.getAvailableRemoteKeys
+     */
+    getAvailableRemoteKeys() {
+        if (!this.hasRemotes()) {
+            // this thread executes its own commands
+            return (this.pendingCounts[this.id] || 0) < this.maxConcurrentPerWorker ? [this.id] : [];
+        }
+        return super.getAvailableRemoteKeys();
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see QueueAwareMixin.sendQueuedCommand
+     */
+    sendQueuedCommand(thread, callbackId, command) {
+        if (this.isThisThread(thread)) {
+            // execute the command locally
+            this.executeCommand({
+                data: {
+                    thread: this.id,
+                    cmd: command.name,
+                    args: command.args,
+                    meta: command.meta,
+                    callbackId
+                }
+            });
+            return;
+        }
+        super.sendQueuedCommand(thread, callbackId, command);
+    }
+
     /**
      * Set the HTTP Authorization to user for HTTP requests
      * @param {String} auth HTTP Basic Authentication hash
@@ -278,6 +1066,9 @@ export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
      */
     setHttpAuthorization(auth) {
         this.httpAuth = auth;
+        if (this.httpClient) {
+            this.httpClient.setHeader('authorization', auth ? 'Basic ' + auth : null);
+        }
     }
 
     /**
@@ -287,65 +1078,37 @@ export class ThreadPool extends RemoteAwareMixin(ListenerAwareMixin()) {
      */
     setHttpAccessToken(accessToken) {
         this.httpAccessToken = accessToken;
+        if (this.httpClient) {
+            this.httpClient.setHeader('x-access-token', accessToken || null);
+        }
+    }
+
+    /**
+     * The HTTP client of this thread, created on first use so threads that make no requests
+     * don't need fetch
+     * @returns {HttpClient}
+     * @throws TypeError when there is no fetch (see HttpClient)
+     */
+    get http() {
+        if (!this.httpClient) {
+            this.httpClient = new HttpClient(this.httpOptions);
+            this.setHttpAuthorization(this.httpAuth);
+            this.setHttpAccessToken(this.httpAccessToken);
+        }
+        return this.httpClient;
     }
 
     /**
-     * Make an XHR request (with credentials)
+     * Make an HTTP request with the HTTP client of this thread, which sends the authorization
+     * set by the WorkerPool
      * @param {String} method The HTTP method (GET, POST)
      * @param {String} url The URL to request
-     * @param {*} data Data to send with xhr
-     * @param {{}} [headers] Optional request headers
-     * @returns {XMLHttpRequest}
-     */
-    httpRequest(method, url, data, headers = {}) {
-        headers = Object.keys(headers).reduce((keys, key) => {
-            keys[key.toLowerCase()] = headers[key];
-            return keys;
-        }, {});
-        if (!('content-type' in headers) && method === 'POST') {
-            // NOTE: safari doesn't like checking (data instanceof FormData) inside the worker
-            if (typeof data === 'object') {
-                headers['content-type'] = 'multipart/form-data';
-            } else {
-                headers['content-type'] = 'application/x-www-form-urlencoded';
-            }
-        }
-        if (!('authorization' in headers) && this.httpAuth) {
-            headers['authorization'] = 'Basic ' + this.httpAuth;
-        }
-        if (!('x-access-token' in headers) && this.httpAccessToken) {
-            headers['x-access-token'] = this.httpAccessToken;
-        }
-        const xhr = new XMLHttpRequest();
-        xhr.addEventListener('load', () => {
-            if (xhr.status >= 500 && xhr.status < 600) {
-                callback(new Error(xhr.status + ' Resposne'), null);
-                return;
-            }
-            if (xhr.status === 401 || xhr.status === 403) {
-                callback(new Error('Access Denied'), null);
-                return;
-            }
-            if (xhr.status === 404) {
-                callback(new Error('URL Not Found'), null);
-                return;
-            }
-            let dataStr;
-            try {
-                dataStr = JSON.parse(xhr.responseText);
-            } catch (err) {
-                callback(err, null);
-            } finally {
-                callback(null, dataStr);
-            }
-        });
-        xhr.addEventListener('abort', () => callback(new Error('Request Aborted'), null));
-        xhr.addEventListener('error', err => callback(err, null));
-        xhr.open(method, url, true);
-        for (const [key, value] in Object.entries(headers)) {
-            xhr.setRequestHeader(key, value);
-        }
-        xhr.send(data);
-        return xhr;
+     * @param {*} [data] The request body, plain objects and arrays are sent as JSON
+     * @param {Object} [headers] Optional request headers
+     * @param {Object} [options] More request options (see HttpClient.request)
+     * @returns {Promise} resolves with the response body, or rejects with an HttpError
+     */
+    httpRequest(method, url, data = undefined, headers = {}, options = {}) {
+        return this.http.request(Object.assign({}, options, { method, url, body: data, headers }));
     }
 }
@@ -0,0 +1,237 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// local libs
+import { getUniqueId } from './RemoteWorker.js';
+
+/**
+ * See if a topic matches a subscription pattern
+ *
+ * Topics are made of segments separated by dots (ie. 'jobs.encode.done'). In a pattern, `*`
+ * matches one segment and `**` matches any number of segments.
+ *
+ * @param {String} pattern The subscription pattern
+ * @param {String} topic The published topic
+ * @returns {boolean}
+ */
+export const matchTopic = (pattern, topic) => {
+    if (pattern === topic) {
+        return true;
+    }
+    const patternSegments = pattern.split('.');
+    const topicSegments = topic.split('.');
+    const match = (p, t) => {
+        for (; p < patternSegments.length; p++, t++) {
+            if (patternSegments[p] === '**') {
+                for (let skip = t; skip <= topicSegments.length; skip++) {
+                    if (match(p + 1, skip)) {
+                        return true;
+                    }
+                }
+                return false;
+            }
+            if (t >= topicSegments.length ||
+                (patternSegments[p] !== '*' && patternSegments[p] !== topicSegments[t])) {
+                return false;
+            }
+        }
+        return t === topicSegments.length;
+    };
+    return match(0, 0);
+};
+
+/**
+ * TopicAwareMixin provides publish / subscribe between the threads of a pool
+ *
+ * Each thread tells the others which patterns it subscribes to, so a publication is only sent
+ * to the threads with a matching subscriber. It expects to be applied on top of
+ * RemoteAwareMixin, and the class to send the subscriptions of this thread to each new peer
+ * (sendSubscriptions) and forget the subscriptions of a peer that is gone (forgetSubscriber).
+ *
+ * @param {Function} superclass The super class you want to extend
+ */
+export const TopicAwareMixin = superclass => class TopicAwareMixin extends (superclass || class { }) {
+
+    /**
+     *
+     * @constructor
+     */
+    constructor() {
+        super(...arguments);
+        this.topicListeners = {};
+        this.topicSubscribers = {};
+    }
+
+    /**
+     * Subscribe to a topic
+     * @param {String} pattern The topic, `*` matches one segment and `**` any number of segments (ie. 'jobs.*.done')
+     * @param {Function} fn Called with (payload, {topic, thread}) for each publication
+     * @returns {String} the index for the subscription to be removed
+     * @throws TypeError on invalid argument
+     */
+    subscribe(pattern, fn) {
+        if (typeof pattern !== 'string' || pattern === '') {
+            throw new TypeError('Topic must be a string');
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError('Subscriber must be a function');
+        }
+        const subscribed = this.getSubscribedTopics().indexOf(pattern) !== -1;
+        const idx = getUniqueId();
+        this.topicListeners[idx] = { pattern, fn };
+        if (!subscribed) {
+            for (const threadId of this.getTopicPeers()) {
+                this.sendMessageToRemote(threadId, {subscribe: [pattern]});
+            }
+        }
+        return idx;
+    }
+
+    /**
+     * Remove a subscription by id
+     * @param {String} idx The subscription id
+     * @returns {boolean}
+     */
+    unsubscribe(idx) {
+        if (!(idx in this.topicListeners)) {
+            return false;
+        }
+        const pattern = this.topicListeners[idx].pattern;
+        this.topicListeners[idx] = null;
+        delete this.topicListeners[idx];
+        if (this.getSubscribedTopics().indexOf(pattern) === -1) {
+            for (const threadId of this.getTopicPeers()) {
+                this.sendMessageToRemote(threadId, {unsubscribe: [pattern]});
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Publish to a topic, reaching the subscribers on every thread (this one included)
+     * @param {String} topic The topic (ie. 'jobs.encode.done')
+     * @param {*} [payload] The payload (must survive the message codec)
+     * @returns {String[]} the ids of the threads with a subscriber
+     * @throws TypeError on invalid argument
+     */
+    publish(topic, payload = undefined) {
+        if (typeof topic !== 'string' || topic === '') {
+            throw new TypeError('Topic must be a string');
+        }
+        const threads = [];
+        for (const threadId of this.getTopicPeers()) {
+            const patterns = this.topicSubscribers[threadId] || [];
+            if (patterns.some(pattern => matchTopic(pattern, topic))) {
+                this.sendMessageToRemote(threadId, {publish: topic, payload});
+                threads.push(threadId);
+            }
+        }
+        if (this.getSubscribedTopics().some(pattern => matchTopic(pattern, topic))) {
+            // async, like the delivery to other threads
+            Promise.resolve().then(() => this.deliverPublication(topic, payload, this.id));
+            threads.push(this.id);
+        }
+        return threads;
+    }
+
+    /**
+     * Get the patterns this thread subscribes to
+     * @returns {String[]}
+     */
+    getSubscribedTopics() {
+        const patterns = [];
+        for (const idx in this.topicListeners) {
+            const pattern = this.topicListeners[idx].pattern;
+            if (patterns.indexOf(pattern) === -1) {
+                patterns.push(pattern);
+            }
+        }
+        return patterns;
+    }
+
+    /**
+     * Get the ids of the threads that subscriptions and publications can be sent to
+     * @returns {String[]}
+     */
+    getTopicPeers() {
+        return Object.keys(this.remotes);
+    }
+
+    /**
+     * Send the subscriptions of this thread to another thread, ie. one that just joined
+     * @param {String} threadId The thread id
+     * @returns {void}
+     */
+    sendSubscriptions(threadId) {
+        const patterns = this.getSubscribedTopics();
+        if (patterns.length !== 0) {
+            this.sendMessageToRemote(threadId, {subscribe: patterns});
+        }
+    }
+
+    /**
+     * Forget the subscriptions of a thread that is gone
+     * @param {String} threadId The thread id
+     * @returns {void}
+     */
+    forgetSubscriber(threadId) {
+        this.topicSubscribers[threadId] = null;
+        delete this.topicSubscribers[threadId];
+    }
+
+    /**
+     * Receive the patterns another thread subscribed to or unsubscribed from
+     * @param {MessageEvent} evt The event ({subscribe: [patterns]} or {unsubscribe: [patterns]})
+     * @returns {void}
+     */
+    receiveSubscriptions(evt) {
+        const { thread, subscribe, unsubscribe } = evt.data;
+        let patterns = this.topicSubscribers[thread] || [];
+        if (subscribe) {
+            patterns = patterns.concat(subscribe.filter(pattern => patterns.indexOf(pattern) === -1));
+        }
+        if (unsubscribe) {
+            patterns = patterns.filter(pattern => unsubscribe.indexOf(pattern) === -1);
+        }
+        if (patterns.length === 0) {
+            this.forgetSubscriber(thread);
+            return;
+        }
+        this.topicSubscribers[thread] = patterns;
+    }
+
+    /**
+     * Receive a publication from another thread
+     * @param {MessageEvent} evt The event ({publish: topic, payload})
+     * @returns {void}
+     */
+    receivePublication(evt) {
+        this.deliverPublication(evt.data.publish, evt.data.payload, evt.data.thread);
+    }
+
+    /**
+     * Call the subscribers of this thread that match a topic
+     *
+     * A subscriber that throws is reported with a 'subscriber-error' event ({topic, thread, error}),
+     * and the other subscribers still get the publication.
+     *
+     * @param {String} topic The topic
+     * @param {*} payload The payload
+     * @param {String} thread The id of the publishing thread
+     * @returns {void}
+     */
+    deliverPublication(topic, payload, thread) {
+        for (const idx in this.topicListeners) {
+            const listener = this.topicListeners[idx];
+            if (listener && matchTopic(listener.pattern, topic)) {
+                this.invokeCallback(listener.fn, [payload, { topic, thread }], 'subscriber-error', { topic, thread });
+            }
+        }
+    }
+};
@@ -0,0 +1,153 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+/**
+ * The names of the global classes whose instances can be transferred between threads
+ * @type {String[]}
+ */
+const TRANSFERABLE_CLASSES = [
+    'ArrayBuffer',
+    'MessagePort',
+    'ImageBitmap',
+    'OffscreenCanvas',
+    'ReadableStream',
+    'WritableStream',
+    'TransformStream',
+    'VideoFrame',
+    'AudioData'
+];
+
+/**
+ * A value to send to another thread along with the objects to transfer (move) instead of copy
+ *
+ * Command functions return one to send their result zero-copy, and command arguments can be
+ * wrapped in one:
+ *
+ *     thread.registerCommand('encode', (threadId, frame) => {
+ *         const buffer = encode(frame);
+ *         return thread.transfer(buffer, [buffer]);
+ *     });
+ */
+export class Transfer {
+    /**
+     *
+     * @param {*} value The value to send
+     * @param {Object[]} [transferList] The objects in the value to transfer (defaults to every transferable found in it)
+     */
+    constructor(value, transferList = findTransferables(value)) {
+        this.value = value;
+        this.transferList = transferList;
+    }
+}
+
+/**
+ * Wrap a value with the objects to transfer
+ * @param {*} value The value to send
+ * @param {Object[]} [transferList] The objects in the value to transfer (defaults to every transferable found in it)
+ * @returns {Transfer}
+ */
+export const transfer = (value, transferList = undefined) => new Transfer(value, transferList);
+
+/**
+ * Get the size of the objects in a transfer list that have one (ArrayBuffers)
+ * @param {Object[]} [transferList] The objects to transfer
+ * @returns {Number} the size in bytes
+ */
+export const transferSize = (transferList = []) => (transferList || []).reduce((total, obj) =>
+    total + (obj && typeof obj.byteLength === 'number' ? obj.byteLength : 0), 0);
+
+/**
+ * See if an object can be transferred between threads
+ * @param {*} obj
+ * @returns {boolean}
+ */
+export const isTransferable = obj => {
+    if (!obj || typeof obj !== 'object') {
+        return false;
+    }
+    for (const name of TRANSFERABLE_CLASSES) {
+        const TransferableClass = globalThis[name];
+        if (typeof TransferableClass === 'function' && obj instanceof TransferableClass) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Find the transferable objects in a value (typed arrays contribute their buffer)
+ * @param {*} value The value to search
+ * @param {Object[]} [list] The list to add to
+ * @param {Set} [seen] The objects already searched
+ * @returns {Object[]}
+ */
+export const findTransferables = (value, list = [], seen = new Set()) => {
+    if (!value || typeof value !== 'object' || seen.has(value)) {
+        return list;
+    }
+    seen.add(value);
+    if (ArrayBuffer.isView(value)) {
+        value = value.buffer;
+        if (seen.has(value)) {
+            return list;
+        }
+        seen.add(value);
+    }
+    if (isTransferable(value)) {
+        list.push(value);
+        return list;
+    }
+    if (value instanceof Map) {
+        value.forEach((item, key) => {
+            findTransferables(key, list, seen);
+            findTransferables(item, list, seen);
+        });
+    } else if (value instanceof Set || Array.isArray(value)) {
+        value.forEach(item => findTransferables(item, list, seen));
+    } else if (Object.getPrototypeOf(value) === Object.prototype) {
+        for (const key in value) {
+            findTransferables(value[key], list, seen);
+        }
+    }
+    return list;
+};
+
+/**
+ * Unwrap a value that may be a Transfer
+ * @param {*} value The value, or a Transfer
+ * @param {Boolean} [auto] Transfer every transferable found in a plain value
+ * @returns {{value: *, transferList: Object[]}}
+ */
+export const unwrapTransfer = (value, auto = false) => {
+    if (value instanceof Transfer) {
+        return { value: value.value, transferList: value.transferList || [] };
+    }
+    return { value, transferList: auto ? findTransferables(value) : [] };
+};
+
+/**
+ * Unwrap command arguments, where any argument may be a Transfer
+ * @param {Array} args The command arguments
+ * @param {Object[]} [transferList] Objects to transfer on top of the ones in the arguments
+ * @param {Boolean} [auto] Transfer every transferable found in the arguments
+ * @returns {{value: Array, transferList: Object[]}}
+ */
+export const unwrapArguments = (args, transferList = [], auto = false) => {
+    const list = transferList.slice();
+    const value = args.map(arg => {
+        const unwrapped = unwrapTransfer(arg, auto);
+        for (const obj of unwrapped.transferList) {
+            if (list.indexOf(obj) === -1) {
+                list.push(obj);
+            }
+        }
+        return unwrapped.value;
+    });
+    return { value, transferList: list };
+};
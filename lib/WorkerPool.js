@@ -8,43 +8,513 @@
  */
 
 // local libs
-import { RemoteWorker } from './RemoteWorker';
-import { RemoteAwareMixin } from './RemoteAwareMixin';
-import { ListenerAwareMixin } from './ListenerAwareMixin';
+import { RemoteWorker } from './RemoteWorker.js';
+import { SharedRemoteWorker } from './SharedRemoteWorker.js';
+import { RemoteAwareMixin } from './RemoteAwareMixin.js';
+import { ListenerAwareMixin } from './ListenerAwareMixin.js';
+import { QueueAwareMixin } from './QueueAwareMixin.js';
+import { TopicAwareMixin } from './TopicAwareMixin.js';
+import { StatsAwareMixin } from './StatsAwareMixin.js';
+import { CommandStats } from './CommandStats.js';
+import { CommandError, CommandNotFoundError, PoolTerminatedError, ReadyTimeoutError, WorkerCrashedError } from './Errors.js';
+import { unwrapArguments } from './Transfer.js';
+import { CommandStream } from './CommandStream.js';
+import { chunkRanges, joinResults, sliceChunk, withRetries } from './DataParallel.js';
+import { canShareMemory, createSharedObject, isSharedOp } from './SharedMemory.js';
+import { deserializeError, serializeError } from './ErrorSerializer.js';
+
+/**
+ * Supervisor defaults
+ * @type {Object}
+ */
+const SUPERVISOR_DEFAULTS = {
+    maxRestarts: 5,
+    restartWindow: 60000,
+    backoff: 100,
+    maxBackoff: 10000,
+    reroute: true,
+    maxReroutes: 1
+};
+
+/**
+ * Autoscaler defaults
+ * @type {Object}
+ */
+const AUTOSCALE_DEFAULTS = {
+    idleTimeout: 30000,
+    scaleInterval: 1000,
+    scaleUpQueueDepth: 1,
+    scaleUpLatency: Infinity
+};
+
+/**
+ * The name of the group of the workers of a pool created with a single worker script
+ * @type {String}
+ */
+const DEFAULT_GROUP = 'default';
+
+/**
+ * How long a worker has to acknowledge its identity and sibling ports, in milliseconds
+ * @type {Number}
+ */
+const READY_TIMEOUT = 10000;
+
+/**
+ * How long a worker has to load a module, in milliseconds
+ * @type {Number}
+ */
+const MODULE_TIMEOUT = 30000;
+
+/**
+ * The weight of the latest command in the average command latency
+ * @type {Number}
+ */
+const LATENCY_SMOOTHING = 0.2;
+
+/**
+ * See if the worker argument of the pool is a map of named worker groups, instead of a script URL
+ * or a worker class
+ * @param {*} which The worker argument
+ * @returns {boolean}
+ */
+const isWorkerGroups = which => which !== null && typeof which === 'object' &&
+    Object.getPrototypeOf(which) === Object.prototype;
+
+/**
+ * Pick the command options for the chunks of map and reduce
+ * @param {Object} options The map or reduce options
+ * @returns {Object}
+ */
+const chunkOptions = options => ({
+    timeout: options.timeout,
+    signal: options.signal,
+    priority: options.priority,
+    group: options.group
+});
+
+/**
+ * Get the number of retries for the chunks of map and reduce
+ * @param {Object} options The map or reduce options
+ * @returns {Number}
+ */
+const retriesOf = options => typeof options.retries === 'number' ? options.retries : 2;
 
 /**
  * The worker cluster spawns and maintains a cluster of remote workers and balances the message
  * delivery between them
+ *
+ * The workers are spawned in named groups, each with its own worker script, size and autoscaling,
+ * and all connected to each other. A pool created with a single worker script has one group,
+ * named 'default'.
  */
-export class WorkerPool extends RemoteAwareMixin(ListenerAwareMixin()) {
+export class WorkerPool extends StatsAwareMixin(TopicAwareMixin(QueueAwareMixin(RemoteAwareMixin(ListenerAwareMixin())))) {
     /**
      *
-     * @param {String|Worker} which The worker script URL or the worker class to instantiate (for webpack support)
-     * @param {Number} [numWorkers] The number of workers to spawn (defaults to 3)
+     * @param {String|Worker|Object} which The worker script URL or the worker class to instantiate (for webpack support), or named worker groups ({name: group}, see addGroup)
+     * @param {Number|Object} [numWorkers] The number of workers to spawn (defaults to 3), or the options when which are worker groups
+     * @param {Object} [options] Pool options
+     * @param {BrowserEnvironment} [options.environment] The environment adapter, ie. a NodeEnvironment for worker_threads (defaults to the browser)
+     * @param {String|Object|Function} [options.strategy] The balance strategy (defaults to 'round-robin')
+     * @param {Object} [options.strategyOptions] Options for a named balance strategy
+     * @param {Object} [options.affinity] Options for the routing of commands with an affinityKey ({replicas, maxPending}, see setAffinity)
+     * @param {Boolean|Object} [options.supervise] Restart workers that crash (true for the defaults)
+     * @param {Number} [options.supervise.maxRestarts] The most restarts allowed within the restart window (defaults to 5)
+     * @param {Number} [options.supervise.restartWindow] The restart window, in milliseconds (defaults to 60000)
+     * @param {Number} [options.supervise.backoff] The delay before the first restart, doubled for each restart in the window (defaults to 100)
+     * @param {Number} [options.supervise.maxBackoff] The longest delay before a restart (defaults to 10000)
+     * @param {Boolean} [options.supervise.reroute] Re-send in-flight commands of a crashed worker to the other workers instead of rejecting them, so they may run twice (defaults to true)
+     * @param {Number} [options.supervise.maxReroutes] How many times one command may be re-sent, so a command that crashes its worker can't take down the pool (defaults to 1)
+     * @param {Number} [options.maxConcurrentPerWorker] The most commands a worker runs at once, the rest are queued (defaults to Infinity)
+     * @param {Number} [options.maxQueueSize] The most commands waiting in the queue (defaults to Infinity)
+     * @param {String} [options.onQueueFull] 'reject' new commands with a QueueFullError when the queue is full, or 'block' them until there is room (defaults to 'reject')
+     * @param {Number} [options.agingInterval] Milliseconds a queued command waits to gain one priority level (defaults to 1000, 0 disables aging)
+     * @param {Number} [options.minWorkers] Autoscale: the fewest workers to keep (defaults to numWorkers, worker groups set their own)
+     * @param {Number} [options.maxWorkers] Autoscale: the most workers to spawn (defaults to numWorkers, worker groups set their own)
+     * @param {Number} [options.idleTimeout] Autoscale: terminate workers above minWorkers that were idle for this many milliseconds (defaults to 30000)
+     * @param {Number} [options.scaleInterval] Autoscale: how often to check the load, in milliseconds (defaults to 1000)
+     * @param {Number} [options.scaleUpQueueDepth] Autoscale: spawn a worker when this many commands are queued (defaults to 1)
+     * @param {Number} [options.scaleUpLatency] Autoscale: spawn a worker when the average command latency is above this many milliseconds (defaults to Infinity)
+     * @param {Boolean} [options.autoTransfer] Transfer every ArrayBuffer, MessagePort, etc. found in command arguments instead of copying it (defaults to false)
+     * @param {Number} [options.statsInterval] Emit a 'stats' event with getStats() every this many milliseconds (defaults to never)
+     * @param {String|Object} [options.codec] The message codec, 'structured-clone', 'json' or a codec instance, which the workers have to use too (defaults to 'structured-clone')
+     * @param {Boolean} [options.sharedMemory] Keep shared objects in a SharedArrayBuffer, false to always pass messages (defaults to true where SharedArrayBuffer is available)
+     * @param {Boolean|String} [options.sharedWorkers] Spawn SharedWorkers, which the pools with the same name in the other tabs of the origin connect to (a string names the pool, defaults to 'workerpool'), the workers must then be given by script URL, and can't have shared objects
+     * @param {Number} [options.readyTimeout] Remove (or restart, when supervised) a worker that is not ready within this many milliseconds, 0 to wait forever (defaults to 10000)
      */
-    constructor(which, numWorkers = 3) {
+    constructor(which, numWorkers = 3, options = {}) {
         super();
+        if (isWorkerGroups(which) && typeof numWorkers === 'object') {
+            // new WorkerPool(groups, options)
+            options = numWorkers || {};
+        }
         this.id = this.MASTER_THREAD;
         this.httpAuthorization = null;
         this.httpAccessToken = null;
-        this.which = which;
-        this.spawn(numWorkers);
+        if (options.environment) {
+            this.environment = options.environment;
+        }
+        if (options.strategy) {
+            this.setStrategy(options.strategy, options.strategyOptions);
+        }
+        if (options.affinity) {
+            this.setAffinity(options.affinity);
+        }
+        this.supervisor = null;
+        if (options.supervise) {
+            this.supervisor = Object.assign({}, SUPERVISOR_DEFAULTS,
+                options.supervise === true ? {} : options.supervise);
+        }
+        this.restarts = [];
+        this.pendingRestarts = {};
+        this.readyTimeout = typeof options.readyTimeout === 'number' ? options.readyTimeout : READY_TIMEOUT;
+        this.readyTimers = {};
+        this.readyWaiters = [];
+        this.retiring = {};
+        this.draining = false;
+        this.drainWaiters = [];
+        this.terminated = false;
+        this.configureQueue(options);
+        this.autoTransfer = !!options.autoTransfer;
+        this.configureStats(options);
+        if (options.codec) {
+            this.setCodec(options.codec);
+        }
+        this.sharedWorkers = options.sharedWorkers ?
+            (typeof options.sharedWorkers === 'string' ? options.sharedWorkers : 'workerpool') : null;
+        this.sharedMemory = options.sharedMemory !== false && canShareMemory();
+        // held while this tab is open, so the shared workers can tell when it is closed
+        this.masterLock = null;
+        this.releaseMasterLock = null;
+        if (this.sharedWorkers) {
+            this.masterLock = this.sharedWorkers + ':master:' + RemoteWorker.getUniqueId();
+            this.releaseMasterLock = this.environment.holdLock(this.masterLock);
+        }
+        this.shared = {};
+        // the worker holding the lock of each shared object, when memory is not shared
+        this.sharedLocks = {};
+        this.modules = {};
+        this.lastActivity = {};
+        this.latency = 0;
+        this.groups = {};
+        this.workerGroups = {};
+        const groups = isWorkerGroups(which) ? which :
+            {[DEFAULT_GROUP]: Object.assign({}, options, {which, workers: numWorkers})};
+        for (const name in groups) {
+            const defaults = {};
+            for (const key in AUTOSCALE_DEFAULTS) {
+                if (key in options) {
+                    defaults[key] = options[key];
+                }
+            }
+            this.addGroup(name, Object.assign(defaults, groups[name]));
+        }
+    }
+
+    /**
+     * Add a named group of workers to the cluster, and spawn its workers
+     *
+     * The autoscale options not given for the group are taken from the pool options.
+     *
+     * @param {String} name The group name
+     * @param {Object} group The group
+     * @param {String|Worker} group.which The worker script URL or the worker class to instantiate
+     * @param {Number} [group.workers] The number of workers to spawn (defaults to 3)
+     * @param {Number} [group.minWorkers] Autoscale: the fewest workers to keep in the group (defaults to workers)
+     * @param {Number} [group.maxWorkers] Autoscale: the most workers to spawn in the group (defaults to workers)
+     * @param {Number} [group.idleTimeout] Autoscale: retire workers above minWorkers that were idle for this many milliseconds (defaults to 30000)
+     * @param {Number} [group.scaleInterval] Autoscale: how often to check the load of the group, in milliseconds (defaults to 1000)
+     * @param {Number} [group.scaleUpQueueDepth] Autoscale: spawn a worker when this many commands for the group are queued (defaults to 1)
+     * @param {Number} [group.scaleUpLatency] Autoscale: spawn a worker when the average command latency of the group is above this many milliseconds (defaults to Infinity)
+     * @returns {void}
+     * @throws Error on duplicate group
+     */
+    addGroup(name, group) {
+        if (name in this.groups) {
+            throw new Error('Worker group, ' + name + ', already exists');
+        }
+        let numWorkers = typeof group.workers === 'number' ? group.workers : 3;
+        let autoscaler = null;
+        if ('minWorkers' in group || 'maxWorkers' in group) {
+            autoscaler = {};
+            for (const key in AUTOSCALE_DEFAULTS) {
+                autoscaler[key] = key in group ? group[key] : AUTOSCALE_DEFAULTS[key];
+            }
+            autoscaler.minWorkers = 'minWorkers' in group ? group.minWorkers : numWorkers;
+            autoscaler.maxWorkers = Math.max(autoscaler.minWorkers,
+                'maxWorkers' in group ? group.maxWorkers : numWorkers);
+            numWorkers = Math.min(autoscaler.maxWorkers, Math.max(autoscaler.minWorkers, numWorkers));
+        }
+        this.groups[name] = {
+            name,
+            which: group.which,
+            autoscaler,
+            autoscaleTimer: autoscaler ? setInterval(() => this.autoscale(name), autoscaler.scaleInterval) : null,
+            stats: new CommandStats(),
+            latency: 0,
+            // set when a worker refused to join, ie. for a codec mismatch
+            error: null
+        };
+        if (numWorkers > 0 || !autoscaler) {
+            this.spawn(numWorkers, name);
+        }
+    }
+
+    /**
+     * Get the ids of the workers of a group
+     * @param {String} [name] The group name (defaults to every worker of the pool)
+     * @returns {String[]}
+     */
+    getGroupWorkers(name = null) {
+        return Object.keys(this.remotes).filter(id => name === null || this.workerGroups[id] === name);
+    }
+
+    /**
+     * Get the group of a worker
+     * @param {String} id The id of the worker
+     * @returns {String|null}
+     */
+    getWorkerGroup(id) {
+        return this.workerGroups[id] || null;
     }
 
     /**
      * Spawn a new worker
      * @param {Number} [numWorkers] The number of workers to spawn (always spawns 1 regardless of 0 value)
+     * @param {String} [group] The group to spawn them in (defaults to 'default')
      * @returns {void}
      */
-    spawn(numWorkers = 1) {
-        this.registerRemoteThread(
-            this.initializeWorker(
-                new RemoteWorker(this.which)));
+    spawn(numWorkers = 1, group = DEFAULT_GROUP) {
+        this.spawnWorker(group);
 
         // continue until we have spawned all workers
         numWorkers -= 1;
         if (numWorkers > 0) {
-            this.spawn(numWorkers);
+            this.spawn(numWorkers, group);
+        }
+    }
+
+    /**
+     * Spawn a single worker and add it to the cluster
+     * @param {String} [name] The group to spawn it in (defaults to 'default')
+     * @returns {RemoteWorker}
+     * @throws Error on invalid group
+     */
+    spawnWorker(name = DEFAULT_GROUP) {
+        if (!(name in this.groups)) {
+            throw new Error('Invalid Group');
+        }
+        const which = this.groups[name].which;
+        const identity = {
+            codec: this.codec.name,
+            shared: this.getSharedDescriptors(),
+            modules: this.getModules(),
+            group: name
+        };
+        const worker = this.initializeWorker(this.sharedWorkers ?
+            new SharedRemoteWorker(which, this.environment, Object.assign(identity, {lock: this.masterLock}),
+                this.getSharedWorkerId(name)) :
+            new RemoteWorker(which, this.environment, identity));
+        this.workerGroups[worker.id] = name;
+        this.registerRemoteThread(worker);
+        this.lastActivity[worker.id] = Date.now();
+        this.dispatch();
+        return worker;
+    }
+
+    /**
+     * Get the id of the next shared worker of a group, which every tab spawning it agrees on: the
+     * lowest index this pool is not connected to
+     * @param {String} name The group name
+     * @returns {String}
+     */
+    getSharedWorkerId(name) {
+        for (let idx = 0; ; idx++) {
+            const id = this.sharedWorkers + ':' + name + ':' + idx;
+            if (!(id in this.remotes)) {
+                return id;
+            }
+        }
+    }
+
+    /**
+     * Spawn or terminate workers to follow the load (autoscale mode only)
+     *
+     * One worker is spawned per call while the group is below minWorkers, or while it is
+     * overloaded and below maxWorkers. Otherwise workers above minWorkers that have been idle
+     * for idleTimeout are retired.
+     *
+     * @param {String} [name] The group to scale (defaults to every group)
+     * @returns {void}
+     */
+    autoscale(name = null) {
+        if (name === null) {
+            for (const key in this.groups) {
+                this.autoscale(key);
+            }
+            return;
+        }
+        const autoscaler = this.groups[name].autoscaler;
+        if (!autoscaler || this.groups[name].error) {
+            return;
+        }
+        const { minWorkers, maxWorkers, idleTimeout } = autoscaler;
+        const ids = this.getActiveRemoteKeys(name);
+        let count = ids.length + this.countRestarts(name);
+        if (count < maxWorkers && (count < minWorkers || this.isOverloaded(name))) {
+            const worker = this.spawnWorker(name);
+            this.executeEventListeners('worker-spawned', {id: worker.id, workers: count + 1, group: name});
+            return;
+        }
+        const now = Date.now();
+        for (const id of ids) {
+            if (count <= minWorkers) {
+                return;
+            }
+            if (!this.pendingCounts[id] && now - this.lastActivity[id] >= idleTimeout) {
+                this.retire(id);
+                count -= 1;
+                this.executeEventListeners('worker-reaped', {id, workers: count, group: name});
+            }
+        }
+    }
+
+    /**
+     * See if the workers of a group can't keep up with its commands, and the group should grow
+     * @param {String} name The group name
+     * @returns {boolean}
+     */
+    isOverloaded(name) {
+        const group = this.groups[name];
+        const { scaleUpQueueDepth, scaleUpLatency } = group.autoscaler;
+        if (this.countWaiting(name) >= scaleUpQueueDepth) {
+            return true;
+        }
+        return this.countPending(name) !== 0 && group.latency > scaleUpLatency;
+    }
+
+    /**
+     * Count the commands waiting in the queue that a group would run
+     * @param {String} name The group name
+     * @returns {Number}
+     */
+    countWaiting(name) {
+        let count = 0;
+        for (const callbackId of this.queue.toArray().concat(this.blockedQueue)) {
+            if (this.isGroupCommand(name, this.callbacks[callbackId].command)) {
+                count += 1;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Count the commands running on the workers of a group
+     * @param {String} name The group name
+     * @returns {Number}
+     */
+    countPending(name) {
+        let count = 0;
+        for (const id of this.getGroupWorkers(name)) {
+            count += this.pendingCounts[id] || 0;
+        }
+        return count;
+    }
+
+    /**
+     * See if a group would run a command
+     * @param {String} name The group name
+     * @param {Object} command The command
+     * @returns {boolean}
+     */
+    isGroupCommand(name, command) {
+        if (command.thread) {
+            return this.workerGroups[command.thread] === name;
+        }
+        if (command.group) {
+            return command.group === name;
+        }
+        const ids = this.getActiveRemoteKeys(name);
+        if (ids.length === 0) {
+            // a group scaled down to nothing takes what no other worker can handle
+            return this.getCapableRemoteKeys(command.name).length === 0;
+        }
+        return this.getCapableRemoteKeys(command.name, ids).length !== 0;
+    }
+
+    /**
+     * See if a group, or the pool, can spawn another worker (autoscale mode only)
+     * @param {String} [name] The group name (defaults to any group)
+     * @returns {boolean}
+     */
+    canScaleUp(name = null) {
+        if (this.terminated) {
+            return false;
+        }
+        if (name === null) {
+            return Object.keys(this.groups).some(key => this.canScaleUp(key));
+        }
+        const autoscaler = this.groups[name].autoscaler;
+        return !!autoscaler && !this.groups[name].error && this.getActiveRemoteKeys(name).length < autoscaler.maxWorkers;
+    }
+
+    /**
+     * See if a group, or the pool, has workers or will have some, once it has recovered or grown
+     * @param {String} [name] The group name (defaults to the whole pool)
+     * @returns {boolean}
+     */
+    canRunGroup(name = null) {
+        return this.getGroupWorkers(name).length !== 0 || this.isRestarting(name) || this.canScaleUp(name);
+    }
+
+    /**
+     * Get the ids of the workers that take new commands, leaving out the ones being retired
+     * @param {String} [name] Only the workers of this group (defaults to every group)
+     * @returns {String[]}
+     */
+    getActiveRemoteKeys(name = null) {
+        return this.getGroupWorkers(name).filter(id => !(id in this.retiring));
+    }
+
+    /**
+     * Retire a worker gracefully: it gets no new commands, and is terminated once the commands
+     * it is running have finished
+     * @param {String} id The id of the worker
+     * @param {Object} [options]
+     * @param {Boolean} [options.replace] Spawn a worker to take its place right away (defaults to false)
+     * @param {Number} [options.timeout] Terminate it after this many milliseconds even if commands are still running, which are rejected (defaults to waiting forever)
+     * @returns {Promise} resolves with false if the worker is not in the cluster, or true once it is terminated
+     */
+    retire(id, options = {}) {
+        if (!(id in this.remotes)) {
+            return Promise.resolve(false);
+        }
+        if (id in this.retiring) {
+            return this.retiring[id].promise;
+        }
+        const retiring = { timer: null };
+        retiring.promise = new Promise(resolve => {
+            retiring.resolve = resolve;
+        });
+        this.retiring[id] = retiring;
+        this.executeEventListeners('worker-retiring', {id});
+        if (options.replace) {
+            this.spawnWorker(this.workerGroups[id]);
+        }
+        if (typeof options.timeout === 'number') {
+            retiring.timer = setTimeout(() => this.terminate(id), options.timeout);
+        }
+        this.checkRetired(id);
+        return retiring.promise;
+    }
+
+    /**
+     * Terminate a retiring worker once it has no commands running
+     * @param {String} id The id of the worker
+     * @returns {void}
+     */
+    checkRetired(id) {
+        if (id in this.retiring && !this.pendingCounts[id]) {
+            this.terminate(id);
         }
     }
 
@@ -55,6 +525,13 @@ export class WorkerPool extends RemoteAwareMixin(ListenerAwareMixin()) {
      */
     initializeWorker(worker) {
         worker.addMessageListener(evt => this.messageListener(evt));
+        worker.addEventListener('error', error => this.workerFailed(worker.id, error));
+        worker.addEventListener('uncaught-error', error =>
+            this.executeEventListeners('worker-error', {id: worker.id, error, group: this.workerGroups[worker.id]}));
+        worker.addEventListener('ready', () => this.workerReady(worker.id));
+        if (this.readyTimeout > 0) {
+            this.readyTimers[worker.id] = setTimeout(() => this.readyTimedOut(worker.id), this.readyTimeout);
+        }
 
         if (this.httpAuthorization) {
             worker.postMessage({setHttpAuthorization: this.httpAuthorization});
@@ -79,6 +556,220 @@ export class WorkerPool extends RemoteAwareMixin(ListenerAwareMixin()) {
             worker.registerRemoteThread(remote);
         }
         this.remotes[worker.id] = worker;
+        this.sendSubscriptions(worker.id);
+    }
+
+    /**
+     * Wait for every worker to be connected to the pool and to each other
+     *
+     * Commands don't have to wait for this, they are held in the queue until a worker is ready.
+     *
+     * @returns {Promise} resolves with the ids of the workers, or rejects with a ReadyTimeoutError (or a PoolTerminatedError)
+     */
+    ready() {
+        if (this.terminated) {
+            return Promise.reject(new PoolTerminatedError());
+        }
+        return new Promise((resolve, reject) => {
+            this.readyWaiters.push({ resolve, reject });
+            this.checkReady();
+        });
+    }
+
+    /**
+     * Resolve the ready() promises once every worker has acknowledged everything sent to it
+     * @returns {void}
+     */
+    checkReady() {
+        if (this.readyWaiters.length === 0 || this.isRestarting()) {
+            return;
+        }
+        for (const id in this.remotes) {
+            if (!this.remotes[id].isConnected()) {
+                return;
+            }
+        }
+        const ids = Object.keys(this.remotes);
+        const waiters = this.readyWaiters;
+        this.readyWaiters = [];
+        for (const waiter of waiters) {
+            waiter.resolve(ids);
+        }
+    }
+
+    /**
+     * Receive the acknowledgement of an ident or port message from a worker
+     * @param {MessageEvent} evt The event ({ack})
+     * @returns {void}
+     */
+    receiveAck(evt) {
+        const worker = this.remotes[evt.data.thread];
+        if (worker && evt.data.error) {
+            this.workerRefused(evt.data.thread, deserializeError(evt.data.error));
+            return;
+        }
+        if (worker) {
+            worker.acknowledge(evt.data.ack);
+            this.checkReady();
+        }
+    }
+
+    /**
+     * Start dispatching to a worker that acknowledged its identity and sibling ports
+     * @param {String} id The id of the worker
+     * @returns {void}
+     */
+    workerReady(id) {
+        this.clearReadyTimer(id);
+        this.executeEventListeners('worker-ready', {id, group: this.workerGroups[id]});
+        this.dispatch();
+    }
+
+    /**
+     * Give up on a worker that was not ready in time, ie. because its script failed to load
+     * @param {String} id The id of the worker
+     * @returns {void}
+     */
+    readyTimedOut(id) {
+        this.readyTimers[id] = null;
+        delete this.readyTimers[id];
+        const error = new ReadyTimeoutError(id, this.readyTimeout);
+        this.executeEventListeners('worker-ready-timeout', {id, error});
+        const waiters = this.readyWaiters;
+        this.readyWaiters = [];
+        for (const waiter of waiters) {
+            waiter.reject(error);
+        }
+        if (this.supervisor) {
+            this.workerFailed(id, error);
+            return;
+        }
+        this.removeRemoteThread(id, true);
+        this.rejectStranded(id, error);
+        this.rejectUnroutable();
+    }
+
+    /**
+     * Give up on a worker that refused its identity, ie. because it uses another message codec
+     *
+     * The worker is not restarted, a replacement would refuse it too: ready() and the commands
+     * that no worker is left to run are rejected with the error, and its group no longer scales.
+     *
+     * @param {String} id The id of the worker
+     * @param {Error} error The error it refused with (ie. a CodecMismatchError)
+     * @returns {void}
+     */
+    workerRefused(id, error) {
+        const group = this.workerGroups[id];
+        this.groups[group].error = error;
+        this.executeEventListeners('worker-refused', {id, error, group});
+        const waiters = this.readyWaiters;
+        this.readyWaiters = [];
+        for (const waiter of waiters) {
+            waiter.reject(error);
+        }
+        this.rejectWaiting(() => error, command => command.thread === id);
+        this.removeRemoteThread(id, true);
+        this.rejectStranded(id, error, () => error);
+        this.rejectUnroutable();
+    }
+
+    /**
+     * Stop waiting for a worker to be ready
+     * @param {String} id The id of the worker
+     * @returns {void}
+     */
+    clearReadyTimer(id) {
+        if (id in this.readyTimers) {
+            clearTimeout(this.readyTimers[id]);
+            this.readyTimers[id] = null;
+            delete this.readyTimers[id];
+        }
+    }
+
+    /**
+     * {@inheritDoc}
+     *
+     * Workers that are not ready yet are left out, so the commands sent early wait in the queue.
+     *
+     * @see QueueAwareMixin.getAvailableRemoteKeys
+     */
+    getAvailableRemoteKeys() {
+        return super.getAvailableRemoteKeys().filter(id => this.remotes[id].ready && !(id in this.retiring));
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see QueueAwareMixin.releaseCallbackId
+     */
+    releaseCallbackId(callbackId) {
+        const callback = super.releaseCallbackId(callbackId);
+        if (callback && callback.thread) {
+            this.checkRetired(callback.thread);
+        }
+        this.checkDrained();
+        return callback;
+    }
+
+    /**
+     * Stop accepting commands, and wait for the ones running and queued to finish
+     *
+     * Commands sent while the pool is draining are rejected, until resume() is called.
+     *
+     * @returns {Promise} resolves once no command is left
+     */
+    drain() {
+        this.draining = true;
+        return new Promise(resolve => {
+            this.drainWaiters.push(resolve);
+            this.checkDrained();
+        });
+    }
+
+    /**
+     * Accept commands again after drain()
+     * @returns {void}
+     */
+    resume() {
+        this.draining = false;
+    }
+
+    /**
+     * Resolve the drain() promises once no command is left
+     * @returns {void}
+     */
+    checkDrained() {
+        if (this.drainWaiters.length === 0 || Object.keys(this.callbacks).length !== 0) {
+            return;
+        }
+        const waiters = this.drainWaiters;
+        this.drainWaiters = [];
+        // after the code waiting on the last results has run
+        setTimeout(() => {
+            for (const resolve of waiters) {
+                resolve();
+            }
+        });
+    }
+
+    /**
+     * Drain the pool, then terminate every worker
+     * @param {Object} [options]
+     * @param {Number} [options.timeout] Stop waiting after this many milliseconds, and reject the commands that are left with a PoolTerminatedError (defaults to waiting forever)
+     * @returns {Promise} resolves once the pool is terminated
+     */
+    shutdown(options = {}) {
+        const drained = this.drain();
+        if (typeof options.timeout !== 'number') {
+            return drained.then(() => this.terminate());
+        }
+        let timer = null;
+        return Promise.race([drained, new Promise(resolve => {
+            timer = setTimeout(resolve, options.timeout);
+        })]).then(() => {
+            clearTimeout(timer);
+            this.terminate();
+        });
     }
 
     /**
@@ -87,6 +778,35 @@ export class WorkerPool extends RemoteAwareMixin(ListenerAwareMixin()) {
      * @returns {void}
      */
     messageListener(evt) {
+        evt = this.decodeMessageEvent(evt);
+        if (evt.data.ack) {
+            this.receiveAck(evt);
+            return;
+        }
+        if (evt.data.sharedOp) {
+            this.executeSharedOp(evt);
+            return;
+        }
+        if (evt.data.moduleError) {
+            this.moduleFailed(evt.data.thread, evt.data.module, evt.data.version, deserializeError(evt.data.moduleError));
+            return;
+        }
+        if (evt.data.subscribe || evt.data.unsubscribe) {
+            this.receiveSubscriptions(evt);
+            return;
+        }
+        if (evt.data.capabilities) {
+            this.receiveCapabilities(evt);
+            return;
+        }
+        if (evt.data.publish) {
+            this.receivePublication(evt);
+            return;
+        }
+        if (evt.data.progressId) {
+            this.receiveCommandProgress(evt);
+            return;
+        }
         if (evt.data.returnId) {
             this.receiveCommandResult(evt);
             return;
@@ -94,24 +814,332 @@ export class WorkerPool extends RemoteAwareMixin(ListenerAwareMixin()) {
         this.executeMessageListeners(evt);
     }
 
+    /**
+     * {@inheritDoc}
+     * @see RemoteAwareMixin.receiveCommandResult
+     */
+    receiveCommandResult(evt) {
+        const callback = this.callbacks[evt.data.returnId];
+        // module loads are not commands
+        if (callback && callback.thread && callback.command) {
+            const now = Date.now();
+            this.lastActivity[callback.thread] = now;
+            this.latency += ((now - callback.enqueuedAt) - this.latency) * LATENCY_SMOOTHING;
+            const group = this.groups[callback.workerGroup];
+            if (group) {
+                group.latency += ((now - callback.enqueuedAt) - group.latency) * LATENCY_SMOOTHING;
+            }
+        }
+        super.receiveCommandResult(evt);
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see StatsAwareMixin.setCallbackThread
+     */
+    setCallbackThread(callback, threadId) {
+        super.setCallbackThread(callback, threadId);
+        // kept for the worker stats of the group, the worker may be gone when the command is done
+        callback.workerGroup = threadId ? this.workerGroups[threadId] : null;
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see StatsAwareMixin.getGroupStats
+     */
+    getGroupStats(threadId, callback = null) {
+        const name = threadId in this.remotes ? this.workerGroups[threadId] : callback && callback.workerGroup;
+        return name && name in this.groups ? [this.groups[name].stats] : [];
+    }
+
+    /**
+     * {@inheritDoc}
+     *
+     * The statistics of each worker group are in `groups`, with the number of workers and of
+     * the commands for the group waiting in the queue.
+     *
+     * @see StatsAwareMixin.getStats
+     */
+    getStats() {
+        const stats = super.getStats();
+        stats.groups = {};
+        for (const name in this.groups) {
+            stats.groups[name] = Object.assign(this.groups[name].stats.toJSON(this.countPending(name)), {
+                workers: this.getGroupWorkers(name).length,
+                queued: this.countWaiting(name)
+            });
+        }
+        return stats;
+    }
+
+    /**
+     * {@inheritDoc}
+     *
+     * Commands for a group only go to the workers of the group.
+     *
+     * @see QueueAwareMixin.getCommandRemoteKeys
+     */
+    getCommandRemoteKeys(command, keys) {
+        if (command.group) {
+            keys = keys.filter(id => this.workerGroups[id] === command.group);
+        }
+        return super.getCommandRemoteKeys(command, keys);
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see QueueAwareMixin.sendQueuedCommand
+     */
+    sendQueuedCommand(thread, callbackId, command) {
+        this.lastActivity[thread] = Date.now();
+        super.sendQueuedCommand(thread, callbackId, command);
+    }
+
     /**
      * Terminate a worker or all workers
+     *
+     * Commands the worker is running are rejected. Terminating all workers terminates the pool:
+     * every command left, and every command sent after, is rejected with a PoolTerminatedError.
+     *
      * @param {String} [id] The id of the worker to terminate, if not given all are terminated
      * @returns {void}
      */
     terminate(id = null) {
         if (!id) {
+            this.terminated = true;
+            this.stopStats();
+            if (this.releaseMasterLock) {
+                this.releaseMasterLock();
+            }
+            for (const name in this.groups) {
+                clearInterval(this.groups[name].autoscaleTimer);
+                this.groups[name].autoscaleTimer = null;
+            }
+            for (const key in this.pendingRestarts) {
+                clearTimeout(this.pendingRestarts[key].timer);
+            }
+            this.pendingRestarts = {};
+            // the queue first, so rejecting running commands does not dispatch it
+            this.rejectWaiting(callbackId => new PoolTerminatedError(callbackId));
+            for (const callbackId in this.callbacks) {
+                this.releaseCallbackId(callbackId).reject(new PoolTerminatedError(callbackId));
+            }
+            const waiters = this.readyWaiters;
+            this.readyWaiters = [];
+            for (const waiter of waiters) {
+                waiter.reject(new PoolTerminatedError());
+            }
             for (const id in this.remotes) {
                 this.terminate(id);
             }
             return;
         }
-        if (id in this.remotes) {
-            this.remotes[id].terminate();
-            this.remotes[id] = null;
-            delete this.remotes[id];
-            this.broadcast({remote: id, terminate: true});
+        this.removeRemoteThread(id);
+        // the siblings no longer wait on it
+        this.checkReady();
+    }
+
+    /**
+     * Terminate a worker and remove it from the cluster, closing the channels to its siblings
+     * @param {String} id The id of the worker
+     * @param {Boolean} [crashed] Whether the worker is being removed because it crashed
+     * @returns {boolean} false if the worker is not in the cluster
+     */
+    removeRemoteThread(id, crashed = false) {
+        if (!(id in this.remotes)) {
+            return false;
+        }
+        this.remotes[id].terminate();
+        this.remotes[id] = null;
+        delete this.remotes[id];
+        delete this.lastActivity[id];
+        delete this.workerGroups[id];
+        this.clearReadyTimer(id);
+        const retiring = this.retiring[id];
+        if (retiring) {
+            clearTimeout(retiring.timer);
+            this.retiring[id] = null;
+            delete this.retiring[id];
+        }
+        this.forgetSubscriber(id);
+        this.forgetStats(id);
+        this.forgetCapabilities(id);
+        this.releaseSharedLocks(id);
+        for (const key in this.remotes) {
+            this.remotes[key].unregisterRemoteThread(id);
+        }
+        if (!this.sharedWorkers) {
+            // shared workers stay connected to each other for the other tabs
+            this.broadcast({remote: id, terminate: true, crashed});
+        }
+        // queued commands for this worker alone can't run anymore, and the ones it was running
+        // won't finish (those of a crashed worker are recovered by the supervisor)
+        for (const callbackId in this.callbacks) {
+            const callback = this.callbacks[callbackId];
+            if ((callback.queued && callback.command.thread === id) || (!crashed && callback.thread === id)) {
+                this.releaseCallbackId(callbackId).reject(crashed ?
+                    new WorkerCrashedError(id, null, callbackId) :
+                    new CommandError('Worker thread, ' + id + ', was terminated', callbackId));
+            }
+        }
+        if (retiring) {
+            retiring.resolve(true);
         }
+        if (!crashed) {
+            // a crashed worker may be restarted
+            this.rejectUnroutable();
+        }
+        return true;
+    }
+
+    /**
+     * {@inheritDoc}
+     * @see RemoteAwareMixin.receiveCapabilities
+     */
+    receiveCapabilities(evt) {
+        super.receiveCapabilities(evt);
+        // ie. a module with the command was unloaded
+        this.rejectUnroutable();
+    }
+
+    /**
+     * See if no worker can run a command, now or once the pool has recovered or grown
+     * @param {String} name The command name
+     * @param {String} [group] The group the command is for (defaults to any group)
+     * @returns {boolean}
+     */
+    isUnroutable(name, group = null) {
+        const ids = this.getGroupWorkers(group);
+        return ids.length !== 0 && this.getCapableRemoteKeys(name, ids).length === 0 &&
+            !this.isRestarting(group) && !this.canScaleUp(group);
+    }
+
+    /**
+     * Reject the queued commands that no worker can handle, with a CommandNotFoundError
+     * @returns {void}
+     */
+    rejectUnroutable() {
+        for (const callbackId of this.queue.toArray()) {
+            const command = this.callbacks[callbackId].command;
+            if (!command.thread && this.isUnroutable(command.name, command.group)) {
+                this.releaseCallbackId(callbackId).reject(new CommandNotFoundError(command.name, callbackId));
+            }
+        }
+    }
+
+    /**
+     * Handle a worker that failed to load or stopped (supervisor mode only)
+     *
+     * The worker is removed from the cluster, its in-flight commands are re-routed or rejected,
+     * and a replacement is spawned after a backoff delay.
+     *
+     * @param {String} id The id of the failed worker
+     * @param {*} error The error reported by the worker
+     * @returns {void}
+     */
+    workerFailed(id, error) {
+        const group = this.workerGroups[id];
+        if (!this.supervisor || !this.removeRemoteThread(id, true)) {
+            return;
+        }
+        this.executeEventListeners('worker-crashed', {id, error, group});
+        this.recoverCallbacks(id, error);
+        this.scheduleRestart(id, error, group);
+        this.rejectUnroutable();
+        this.checkReady();
+    }
+
+    /**
+     * Re-queue or reject the commands that were in flight on a crashed worker
+     * @param {String} id The id of the crashed worker
+     * @param {*} error The error reported by the worker
+     * @returns {void}
+     */
+    recoverCallbacks(id, error) {
+        for (const callbackId in this.callbacks) {
+            const callback = this.callbacks[callbackId];
+            if (callback.thread !== id) {
+                continue;
+            }
+            callback.reroutes = (callback.reroutes || 0) + 1;
+            // transferred arguments are gone from this thread and can't be sent again, and
+            // commands for this worker alone (or module loads) can't go to another one
+            if (this.supervisor.reroute && callback.reroutes <= this.supervisor.maxReroutes && callback.command &&
+                callback.command.transfer.length === 0 && !callback.command.thread) {
+                // keeps its age, so it goes ahead of newer work of the same priority
+                this.requeue(callbackId);
+                continue;
+            }
+            this.releaseCallbackId(callbackId);
+            callback.reject(new WorkerCrashedError(id, error, callbackId));
+        }
+        this.dispatch();
+    }
+
+    /**
+     * Spawn a replacement for a crashed worker, unless the restart limit has been reached
+     * @param {String} id The id of the crashed worker
+     * @param {*} error The error reported by the worker
+     * @param {String} [group] The group of the crashed worker (defaults to 'default')
+     * @returns {void}
+     */
+    scheduleRestart(id, error, group = DEFAULT_GROUP) {
+        const { maxRestarts, restartWindow, backoff, maxBackoff } = this.supervisor;
+        const now = Date.now();
+        this.restarts = this.restarts.filter(time => now - time < restartWindow);
+        if (this.restarts.length >= maxRestarts) {
+            this.executeEventListeners('worker-restart-limit', {id, error, group});
+            this.rejectStranded(id, error);
+            return;
+        }
+        const attempt = this.restarts.length + 1;
+        const delay = Math.min(maxBackoff, backoff * Math.pow(2, attempt - 1));
+        this.restarts.push(now);
+        this.pendingRestarts[id] = {
+            group,
+            timer: setTimeout(() => {
+                this.pendingRestarts[id] = null;
+                delete this.pendingRestarts[id];
+                const worker = this.spawnWorker(group);
+                this.executeEventListeners('worker-restarted', {id, replacement: worker.id, attempt, error, group});
+            }, delay)
+        };
+    }
+
+    /**
+     * See if a crashed worker is waiting to be replaced
+     * @param {String} [name] Only a worker of this group (defaults to any group)
+     * @returns {boolean}
+     */
+    isRestarting(name = null) {
+        return this.countRestarts(name) !== 0;
+    }
+
+    /**
+     * Count the crashed workers waiting to be replaced
+     * @param {String} [name] Only the workers of this group (defaults to every group)
+     * @returns {Number}
+     */
+    countRestarts(name = null) {
+        return Object.keys(this.pendingRestarts).filter(id =>
+            name === null || this.pendingRestarts[id].group === name).length;
+    }
+
+    /**
+     * Reject the queued commands that no worker is left to run
+     * @param {String} id The id of the worker that was lost
+     * @param {*} error The error reported by the worker
+     * @param {Function} [createError] Creates the error for a callback id (defaults to a WorkerCrashedError)
+     * @returns {void}
+     */
+    rejectStranded(id, error, createError = callbackId => new WorkerCrashedError(id, error, callbackId)) {
+        if (!this.canRunGroup()) {
+            // nothing left to run the queue
+            this.rejectWaiting(createError);
+            return;
+        }
+        this.rejectWaiting(createError,
+            command => !command.thread && !!command.group && !this.canRunGroup(command.group));
     }
 
     /**
@@ -126,24 +1154,469 @@ export class WorkerPool extends RemoteAwareMixin(ListenerAwareMixin()) {
 
     /**
      * Send a command to a remote worker in the cluster
+     *
+     * The command is queued when every worker is already running maxConcurrentPerWorker commands. It only
+     * goes to a worker that advertised the command, and is rejected with a CommandNotFoundError when
+     * no worker can handle it.
+     *
      * @param {String} name The command name
      * @param {Array} [args] Arguments to send to the command
+     * @param {Object} [options] Command options
+     * @param {Number} [options.timeout] Reject with a TimeoutError if no reply arrives within this many milliseconds (time spent queued included)
+     * @param {AbortSignal} [options.signal] Cancel the command when this signal is aborted
+     * @param {Number} [options.priority] Commands with a higher priority are dispatched first (defaults to 0)
+     * @param {Object[]} [options.transfer] Objects in the arguments to transfer instead of copy (arguments wrapped with transfer() are added)
+     * @param {Function} [options.onProgress] Receives the progress updates of the command
+     * @param {String} [options.thread] The id of the worker to send to, if not given, the balance strategy picks one
+     * @param {String} [options.group] Only send to a worker of this group
+     * @param {Object} [options.meta] Metadata sent along with the command, which middleware on the worker sees as `ctx.meta`
+     * @param {*} [options.affinityKey] Commands with the same key go to the same worker while it is available (ie. a document id, for a per-document cache)
      * @returns {Promise}
      */
-    sendCommand(name, args = []) {
+    sendCommand(name, args = [], options = {}) {
+        return this.interceptCommand(name, args, options, (name, args, options) => this.enqueueCommand(name, args, options));
+    }
+
+    /**
+     * Queue a command for a remote worker, after the interceptors
+     * @param {String} name The command name
+     * @param {Array} args Arguments to send to the command
+     * @param {Object} options Command options, as for sendCommand
+     * @returns {Promise}
+     */
+    enqueueCommand(name, args, options) {
         const callbackId = RemoteWorker.getUniqueId();
-        const promise = this.registerCallbackId(callbackId);
-        const sent = this.postMessage({
-            cmd: name,
-            args,
-            callbackId
-        });
-        if (!sent) {
-            promise.reject(new Error('Unable to send command: ' + command));
+        const promise = this.registerCallbackId(callbackId, options);
+        if (!(callbackId in this.callbacks)) {
+            // already aborted
+            return promise;
+        }
+        if (this.terminated || this.draining) {
+            this.releaseCallbackId(callbackId);
+            promise.reject(this.terminated ? new PoolTerminatedError(callbackId) :
+                new CommandError('Worker pool is draining, unable to send command: ' + name, callbackId));
+            return promise;
+        }
+        const group = options.group || null;
+        if (group !== null && !(group in this.groups)) {
+            this.releaseCallbackId(callbackId);
+            promise.reject(new Error('Invalid Group'));
+            return promise;
+        }
+        if (!this.canRunGroup(group)) {
+            this.releaseCallbackId(callbackId);
+            promise.reject(new Error('Unable to send command: ' + name));
+            return promise;
+        }
+        if (!options.thread && this.isUnroutable(name, group)) {
+            this.releaseCallbackId(callbackId);
+            promise.reject(new CommandNotFoundError(name, callbackId));
+            return promise;
+        }
+        if (options.thread && (!(options.thread in this.remotes) || options.thread in this.retiring)) {
+            this.releaseCallbackId(callbackId);
+            promise.reject(new Error('Invalid Thread'));
+            return promise;
+        }
+        const { value, transferList } = unwrapArguments(args, options.transfer, this.autoTransfer);
+        promise.command = {
+            name,
+            args: value,
+            transfer: transferList,
+            thread: options.thread || null,
+            meta: options.meta,
+            affinityKey: options.affinityKey,
+            group
+        };
+        this.enqueue(callbackId, options.priority || 0);
+        if (this.getGroupWorkers(group).length === 0) {
+            // scaled down to nothing
+            this.autoscale(group);
         }
         return promise;
     }
 
+    /**
+     * Send a command to a remote worker in the cluster, and iterate over its progress
+     * @param {String} name The command name
+     * @param {Array} [args] Arguments to send to the command
+     * @param {Object} [options] Command options, as for sendCommand
+     * @returns {CommandStream}
+     */
+    streamCommand(name, args = [], options = {}) {
+        const stream = new CommandStream();
+        const promise = this.sendCommand(name, args, Object.assign({}, options, {
+            onProgress: data => {
+                stream.push(data);
+                if (options.onProgress) {
+                    options.onProgress(data);
+                }
+            }
+        }));
+        stream.attach(promise, () => this.cancelCommand(promise.callbackId));
+        return stream;
+    }
+
+    /**
+     * Run a command on every worker in the cluster (or in the `group` option) that can handle it,
+     * leaving out the ones being retired
+     *
+     * Arguments are copied to each worker, so they can't be transferred.
+     *
+     * @param {String} name The command name
+     * @param {Array} [args] Arguments to send to the command
+     * @param {Object} [options] Command options, as for sendCommand (the timeout applies to each worker)
+     * @param {Boolean} [options.allSettled] Resolve with the outcome of every worker ({status, value} or {status, reason}) instead of rejecting on the first failure
+     * @returns {Promise} resolves with a map of worker id to result
+     */
+    broadcastCommand(name, args = [], options = {}) {
+        return this.gatherCommandResults(this.getCapableRemoteKeys(name, this.getActiveRemoteKeys(options.group || null)),
+            thread => this.sendCommand(name, args, Object.assign({}, options, { thread })),
+            options.allSettled);
+    }
+
+    /**
+     * Map items in parallel, by splitting them into chunks and sending each chunk to a worker
+     *
+     * The command is called with one chunk (a slice of the items) and returns the results for
+     * it, which are joined back together. Typed arrays are sliced into chunks of their own and
+     * transferred to the workers.
+     *
+     * @param {String} command The command name
+     * @param {Array|TypedArray} items The items
+     * @param {Object} [options] Options
+     * @param {Number} [options.chunkSize] The number of items in a chunk (defaults to an equal share for each worker)
+     * @param {Boolean} [options.ordered] Keep the results in the order of the items, instead of the order the chunks finish in (defaults to true)
+     * @param {Number} [options.retries] How many times to retry a chunk whose command threw or whose worker crashed (defaults to 2)
+     * @param {Number} [options.timeout] The timeout of each chunk, in milliseconds
+     * @param {AbortSignal} [options.signal] Cancel every chunk when this signal is aborted
+     * @param {Number} [options.priority] The priority of the chunks
+     * @param {String} [options.group] Only send the chunks to the workers of this group
+     * @returns {Promise} resolves with the joined results
+     */
+    map(command, items, options = {}) {
+        const ordered = options.ordered !== false;
+        const results = [];
+        return Promise.all(this.chunkCommands(command, items, options).map((promise, idx) =>
+            promise.then(result => {
+                if (ordered) {
+                    results[idx] = result;
+                } else {
+                    results.push(result);
+                }
+            })
+        )).then(() => joinResults(results, items));
+    }
+
+    /**
+     * Reduce items in parallel
+     *
+     * The map command is called with each chunk of the items and returns a partial result. The
+     * reduce command is then called with two neighbouring partial results at a time, (threadId,
+     * left, right), and returns their combination, until one result is left.
+     *
+     * @param {String} mapCommand The name of the command that maps a chunk to a partial result
+     * @param {String} reduceCommand The name of the command that combines two partial results
+     * @param {Array|TypedArray} items The items
+     * @param {Object} [options] Options, as for map (without ordered)
+     * @param {*} [options.initial] The result when there are no items
+     * @returns {Promise} resolves with the final result
+     */
+    reduce(mapCommand, reduceCommand, items, options = {}) {
+        const reduce = partials => {
+            if (partials.length <= 1) {
+                return partials.length === 0 ? options.initial : partials[0];
+            }
+            const pairs = [];
+            for (let idx = 0; idx < partials.length; idx += 2) {
+                pairs.push(idx + 1 === partials.length ? partials[idx] :
+                    withRetries(() => this.sendCommand(reduceCommand,
+                        [partials[idx], partials[idx + 1]], chunkOptions(options)), retriesOf(options)));
+            }
+            return Promise.all(pairs).then(reduce);
+        };
+        return Promise.all(this.chunkCommands(mapCommand, items, options)).then(reduce);
+    }
+
+    /**
+     * Send a command for each chunk of the items
+     * @param {String} command The command name
+     * @param {Array|TypedArray} items The items
+     * @param {Object} options Options, as for map
+     * @returns {Promise[]} the command promise of each chunk
+     */
+    chunkCommands(command, items, options) {
+        const workers = Math.max(1, this.getActiveRemoteKeys(options.group || null).length);
+        const chunkSize = options.chunkSize || Math.max(1, Math.ceil(items.length / workers));
+        return chunkRanges(items.length, chunkSize).map(range => withRetries(() => {
+            // slice again for each try, the last chunk was transferred
+            const { chunk, transferList } = sliceChunk(items, range);
+            return this.sendCommand(command, [chunk],
+                Object.assign(chunkOptions(options), { transfer: transferList }));
+        }, retriesOf(options)));
+    }
+
+    /**
+     * Create an object shared with every worker, workers get it with `thread.getShared(name)`
+     *
+     * The object is kept in a SharedArrayBuffer and synchronized with Atomics. When shared
+     * memory is not available, it stays on this thread and the workers send it messages.
+     *
+     * @param {String} kind The kind of object, 'counter', 'queue', 'store' or 'mutex'
+     * @param {String} name The name the threads know it by
+     * @param {Object} [options] Options for the kind of object
+     * @returns {SharedCounter|SharedQueue|SharedStore|SharedMutex}
+     * @throws Error on duplicate name or unknown kind, or with shared workers
+     */
+    createShared(kind, name, options = {}) {
+        if (this.sharedWorkers) {
+            // a shared worker serves every tab, and could only use the objects of one of them
+            throw new Error('Shared objects are not available with shared workers');
+        }
+        if (name in this.shared) {
+            throw new Error('Shared object, ' + name + ', already exists');
+        }
+        const object = createSharedObject(kind, options, this.sharedMemory);
+        this.shared[name] = { kind, name, options, object };
+        // posted as it is, the memory can't go through the codec of broadcast
+        const descriptors = [this.getSharedDescriptor(name)];
+        for (const id in this.remotes) {
+            this.remotes[id].postMessage({shared: descriptors});
+        }
+        return object;
+    }
+
+    /**
+     * Create a counter shared with every worker
+     * @param {String} name The name the threads know it by
+     * @param {Number} [initial] The initial value (defaults to 0)
+     * @returns {SharedCounter}
+     */
+    createSharedCounter(name, initial = 0) {
+        return this.createShared('counter', name, { initial });
+    }
+
+    /**
+     * Create a queue shared with every worker
+     * @param {String} name The name the threads know it by
+     * @param {Object} [options]
+     * @param {Number} [options.capacity] The bytes available for entries (defaults to 65536)
+     * @returns {SharedQueue}
+     */
+    createSharedQueue(name, options = {}) {
+        return this.createShared('queue', name, options);
+    }
+
+    /**
+     * Create a key-value store shared with every worker
+     * @param {String} name The name the threads know it by
+     * @param {Object} [options]
+     * @param {Number} [options.size] The bytes available for the values, as JSON (defaults to 65536)
+     * @param {Object} [options.initial] The initial values
+     * @returns {SharedStore}
+     */
+    createSharedStore(name, options = {}) {
+        return this.createShared('store', name, options);
+    }
+
+    /**
+     * Create a mutex shared with every worker
+     * @param {String} name The name the threads know it by
+     * @returns {SharedMutex}
+     */
+    createSharedMutex(name) {
+        return this.createShared('mutex', name);
+    }
+
+    /**
+     * Get a shared object
+     * @param {String} name The name of the object
+     * @returns {Object|null}
+     */
+    getShared(name) {
+        return name in this.shared ? this.shared[name].object : null;
+    }
+
+    /**
+     * Get the descriptor a worker attaches to a shared object with
+     * @param {String} name The name of the object
+     * @returns {Object} the descriptor ({kind, name, buffer, options}), without memory when it is not shared
+     */
+    getSharedDescriptor(name) {
+        const { kind, options, object } = this.shared[name];
+        return { kind, name, options, buffer: this.sharedMemory ? object.buffer : null };
+    }
+
+    /**
+     * Get the descriptors of every shared object
+     * @returns {Object[]}
+     */
+    getSharedDescriptors() {
+        return Object.keys(this.shared).map(name => this.getSharedDescriptor(name));
+    }
+
+    /**
+     * Run an operation on a shared object for a worker, when memory is not shared
+     * @param {MessageEvent} evt The event ({sharedOp: {name, op, args}, callbackId, thread})
+     * @returns {void}
+     */
+    executeSharedOp(evt) {
+        const { sharedOp, callbackId, thread } = evt.data;
+        const object = this.getShared(sharedOp.name);
+        new Promise(resolve => {
+            if (!object || !isSharedOp(object, sharedOp.op)) {
+                throw new Error('Invalid shared operation: ' + sharedOp.name + '.' + sharedOp.op);
+            }
+            resolve(object[sharedOp.op](...sharedOp.args));
+        })
+            .then(data => {
+                this.trackSharedLock(sharedOp.name, sharedOp.op, data, thread);
+                return {returnId: callbackId, data};
+            })
+            .catch(err => ({returnId: callbackId, error: serializeError(err, this.id)}))
+            .then(message => {
+                if (thread in this.remotes) {
+                    this.remotes[thread].postMessage(message);
+                }
+            });
+    }
+
+    /**
+     * Keep track of the worker holding the lock of a shared object, so the lock can be released
+     * once the worker is gone
+     * @param {String} name The name of the object
+     * @param {String} op The operation the worker ran
+     * @param {*} result The result of the operation
+     * @param {String} thread The id of the worker
+     * @returns {void}
+     */
+    trackSharedLock(name, op, result, thread) {
+        if ((op === 'lock' || op === 'tryLock') && result === true) {
+            if (!(thread in this.remotes)) {
+                // gone while it was waiting for the lock
+                this.getShared(name).unlock();
+                return;
+            }
+            this.sharedLocks[name] = thread;
+        } else if (op === 'unlock' && this.sharedLocks[name] === thread) {
+            this.sharedLocks[name] = null;
+            delete this.sharedLocks[name];
+        }
+    }
+
+    /**
+     * Release the locks of the shared objects held by a worker that is gone
+     * @param {String} id The id of the worker
+     * @returns {void}
+     */
+    releaseSharedLocks(id) {
+        for (const name in this.sharedLocks) {
+            if (this.sharedLocks[name] === id) {
+                this.sharedLocks[name] = null;
+                delete this.sharedLocks[name];
+                this.getShared(name).unlock();
+            }
+        }
+    }
+
+    /**
+     * Load a module of commands on every worker, and on every worker spawned later
+     *
+     * The outcome is the one of the workers that are ready. Workers spawned later get the module
+     * with their identity, and the ones starting up, whose identity is older than the module, are
+     * not ready until they have loaded it (or failed to). Loading a module again replaces the
+     * commands of the earlier version. The default export of the module (or
+     * `self.workerpoolModule`, set by a classic script) is an object of commands by name, or a
+     * function called with the ThreadPool that returns (or resolves) one.
+     *
+     * @param {String|URL} url The module URL, relative URLs are resolved against the worker script
+     * @param {Object} [options]
+     * @param {String} [options.name] The module name, which a later version replaces (defaults to the URL)
+     * @param {*} [options.version] The module version, added to the URL so workers don't load it from their module cache (defaults to one more than the last version)
+     * @param {String} [options.type] 'module' for an ES module loaded with import(), or 'classic' for a script loaded with importScripts (defaults to 'module')
+     * @param {Number} [options.timeout] How long a worker has to load the module, in milliseconds (defaults to 30000)
+     * @returns {Promise} resolves with a map of worker id to outcome, {status: 'fulfilled', value: commandNames} or {status: 'rejected', reason}
+     */
+    loadModule(url, options = {}) {
+        url = String(url);
+        const name = options.name || url;
+        const previous = this.modules[name];
+        const version = 'version' in options ? options.version :
+            (previous && typeof previous.version === 'number' ? previous.version : 0) + 1;
+        const module = { name, url, version, type: options.type || 'module' };
+        this.modules[name] = module;
+        const timeout = typeof options.timeout === 'number' ? options.timeout : MODULE_TIMEOUT;
+        const ids = [];
+        for (const id of this.getActiveRemoteKeys()) {
+            const worker = this.remotes[id];
+            if (worker.ready) {
+                ids.push(id);
+                continue;
+            }
+            // a failure is reported with a 'module-failed' event
+            worker.expectAck('module:' + name);
+            this.sendModule(id, module, timeout).catch(() => {}).then(() => {
+                worker.acknowledge('module:' + name);
+                this.checkReady();
+            });
+        }
+        return this.gatherCommandResults(ids, id => this.sendModule(id, module, timeout), true);
+    }
+
+    /**
+     * Send a module to a worker to load
+     * @param {String} id The id of the worker
+     * @param {Object} module The module ({name, url, version, type})
+     * @param {Number} [timeout] How long the worker has to load the module, in milliseconds (defaults to 30000)
+     * @returns {Promise} resolves with the names of the commands registered, or rejects after a 'module-failed' event
+     */
+    sendModule(id, module, timeout = MODULE_TIMEOUT) {
+        const callbackId = RemoteWorker.getUniqueId();
+        const promise = this.registerCallbackId(callbackId, { timeout });
+        // on the worker, so it is rejected if the worker crashes or is terminated
+        this.setCallbackThread(promise, id);
+        this.sendMessageToRemote(id, {loadModule: module, callbackId});
+        return promise.catch(error => {
+            this.moduleFailed(id, module.name, module.version, error);
+            throw error;
+        });
+    }
+
+    /**
+     * Unload a module from every worker, removing the commands it registered
+     * @param {String} name The module name (the URL, unless a name was given to loadModule)
+     * @returns {boolean} false if the module is not loaded
+     */
+    unloadModule(name) {
+        if (!(name in this.modules)) {
+            return false;
+        }
+        this.modules[name] = null;
+        delete this.modules[name];
+        this.broadcast({unloadModule: name});
+        return true;
+    }
+
+    /**
+     * Get the modules loaded on the workers
+     * @returns {Object[]} the modules ({name, url, version, type})
+     */
+    getModules() {
+        return Object.keys(this.modules).map(name => this.modules[name]);
+    }
+
+    /**
+     * Report a module that a worker failed to load, with a 'module-failed' event
+     * @param {String} id The id of the worker
+     * @param {String} name The module name
+     * @param {*} version The module version
+     * @param {Error} error The error
+     * @returns {void}
+     */
+    moduleFailed(id, name, version, error) {
+        this.executeEventListeners('module-failed', {id, name, version, error});
+    }
+
     /**
      * Set the HTTP Authorization to user for HTTP requests
      * @param {String} auth HTTP Basic Authentication hash
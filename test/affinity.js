@@ -0,0 +1,88 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { ConsistentHashStrategy } from '../lib/BalanceStrategy.js';
+
+/**
+ * The document keys the tests route
+ * @type {String[]}
+ */
+const KEYS = Array.from({ length: 200 }, (value, idx) => 'doc-' + idx);
+
+/**
+ * A stand-in for the pool a strategy asks about the remote threads
+ * @param {String[]} ids The remote thread ids
+ * @param {Object} [pending] The pending commands by thread id
+ * @returns {Object}
+ */
+const fakePool = (ids, pending = {}) => ({
+    remotes: ids.reduce((remotes, id) => Object.assign(remotes, { [id]: {} }), {}),
+    getPendingCounts: () => pending
+});
+
+describe('Affinity routing', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('sends the commands with the same key to the same worker', async function () {
+        pool = createPool(3);
+        await pool.ready();
+        const owners = {};
+        for (const key of KEYS.slice(0, 20)) {
+            for (let i = 0; i < 3; i++) {
+                const id = await pool.sendCommand('id', [], { affinityKey: key });
+                owners[key] = owners[key] || id;
+                assert.strictEqual(id, owners[key]);
+            }
+        }
+        assert.ok(new Set(Object.values(owners)).size > 1);
+    });
+
+    it('sends to the next worker on the ring when the owner has maxPending commands', async function () {
+        pool = createPool(2, { affinity: { maxPending: 1 } });
+        await pool.ready();
+        const owner = await pool.sendCommand('id', [], { affinityKey: 'doc' });
+        const running = pool.sendCommand('sleep', [100], { affinityKey: 'doc' });
+        const other = await pool.sendCommand('id', [], { affinityKey: 'doc' });
+        assert.notStrictEqual(other, owner);
+        await running;
+        assert.strictEqual(await pool.sendCommand('id', [], { affinityKey: 'doc' }), owner);
+    });
+});
+
+describe('ConsistentHashStrategy', function () {
+    it('only moves the keys of a thread that joins or leaves', function () {
+        const strategy = new ConsistentHashStrategy();
+        const route = ids => KEYS.map(key => strategy.next(ids, fakePool(ids), key));
+        const before = route(['a', 'b', 'c']);
+        const after = route(['a', 'b', 'c', 'd']);
+        const moved = KEYS.filter((key, idx) => before[idx] !== after[idx]);
+        assert.ok(moved.length > 0 && moved.length < KEYS.length / 2);
+        assert.ok(moved.every(key => after[KEYS.indexOf(key)] === 'd'));
+        assert.deepStrictEqual(route(['a', 'b', 'c']), before);
+    });
+
+    it('falls back to the owner when every thread is overloaded', function () {
+        const strategy = new ConsistentHashStrategy({ maxPending: 1 });
+        const ids = ['a', 'b'];
+        const owner = strategy.next(ids, fakePool(ids), 'doc');
+        const other = ids.find(id => id !== owner);
+        assert.strictEqual(strategy.next(ids, fakePool(ids, { [owner]: 1 }), 'doc'), other);
+        assert.strictEqual(strategy.next(ids, fakePool(ids, { a: 1, b: 1 }), 'doc'), owner);
+    });
+});
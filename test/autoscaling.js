@@ -0,0 +1,57 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool, nextEvent } from './fixtures/pool.js';
+
+describe('Autoscaling', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('spawns workers while commands are queued, up to maxWorkers', async function () {
+        pool = createPool(1, { minWorkers: 1, maxWorkers: 2, maxConcurrentPerWorker: 1, scaleInterval: 20 });
+        await pool.ready();
+        const spawned = nextEvent(pool, 'worker-spawned');
+        const results = [200, 200, 200, 200].map(ms => pool.sendCommand('sleep', [ms]));
+        const evt = await spawned;
+        assert.strictEqual(evt.workers, 2);
+        assert.strictEqual(evt.group, 'default');
+        assert.deepStrictEqual(await Promise.all(results), [200, 200, 200, 200]);
+        assert.strictEqual(Object.keys(pool.remotes).length, 2);
+    });
+
+    it('connects spawned workers to their siblings', async function () {
+        pool = createPool(1, { minWorkers: 1, maxWorkers: 2, maxConcurrentPerWorker: 1, scaleInterval: 20 });
+        await pool.ready();
+        const spawned = nextEvent(pool, 'worker-spawned');
+        const running = pool.sendCommand('sleep', [100]);
+        pool.sendCommand('sleep', [10]);
+        const { id } = await spawned;
+        await pool.ready();
+        const [other] = Object.keys(pool.remotes).filter(key => key !== id);
+        assert.deepStrictEqual(await pool.sendCommand('siblings', [], { thread: id }), [other]);
+        await running;
+    });
+
+    it('retires idle workers down to minWorkers', async function () {
+        pool = createPool(2, { minWorkers: 1, maxWorkers: 2, scaleInterval: 20, idleTimeout: 500 });
+        await pool.ready();
+        const reaped = await nextEvent(pool, 'worker-reaped');
+        assert.strictEqual(reaped.workers, 1);
+        assert.deepStrictEqual(Object.keys(pool.remotes).filter(id => id === reaped.id), []);
+        assert.strictEqual(await pool.sendCommand('add', [1, 2]), 3);
+    });
+});
@@ -0,0 +1,68 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { TimeoutError } from '../lib/Errors.js';
+
+describe('Broadcast commands', function () {
+    let pool = null;
+
+    beforeEach(async function () {
+        pool = createPool(3);
+        await pool.ready();
+    });
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('runs a command on every worker', async function () {
+        const results = await pool.broadcastCommand('id');
+        assert.deepStrictEqual(Object.keys(results).sort(), Object.keys(pool.remotes).sort());
+        for (const id in results) {
+            assert.strictEqual(results[id], id);
+        }
+    });
+
+    it('rejects on the first failure', async function () {
+        const [id] = Object.keys(pool.remotes);
+        await assert.rejects(pool.broadcastCommand('failOn', [id]), /failed on/);
+    });
+
+    it('resolves with the outcome of every worker with allSettled', async function () {
+        const [failing, ...others] = Object.keys(pool.remotes);
+        const results = await pool.broadcastCommand('failOn', [failing], { allSettled: true });
+        assert.strictEqual(results[failing].status, 'rejected');
+        assert.strictEqual(results[failing].reason.message, 'failed on ' + failing);
+        for (const id of others) {
+            assert.deepStrictEqual(results[id], { status: 'fulfilled', value: id });
+        }
+    });
+
+    it('applies the timeout to each worker', async function () {
+        const results = await pool.broadcastCommand('sleep', [200], { allSettled: true, timeout: 20 });
+        for (const id in results) {
+            assert.strictEqual(results[id].status, 'rejected');
+            assert.ok(results[id].reason instanceof TimeoutError);
+        }
+    });
+
+    it('runs a command on the siblings of a worker, with or without itself', async function () {
+        const [id] = Object.keys(pool.remotes);
+        const all = await pool.sendCommand('broadcastIds', [true], { thread: id });
+        assert.deepStrictEqual(Object.keys(all).sort(), Object.keys(pool.remotes).sort());
+        const siblings = await pool.sendCommand('broadcastIds', [false], { thread: id });
+        assert.deepStrictEqual(Object.keys(siblings).sort(), Object.keys(pool.remotes).filter(key => key !== id).sort());
+    });
+});
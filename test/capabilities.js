@@ -0,0 +1,76 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { CommandNotFoundError } from '../lib/Errors.js';
+
+/**
+ * Wait for messages in flight between threads
+ * @returns {Promise}
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('Capability discovery', function () {
+    let pool = null;
+    let ids = null;
+
+    beforeEach(async function () {
+        pool = createPool(3);
+        await pool.ready();
+        ids = Object.keys(pool.remotes);
+    });
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('lists the commands each worker advertised', function () {
+        const commands = pool.listCommands();
+        assert.deepStrictEqual(Object.keys(commands).sort(), ids.slice().sort());
+        for (const id of ids) {
+            assert.ok(commands[id].indexOf('add') !== -1);
+        }
+    });
+
+    it('routes a command only to the workers that registered it', async function () {
+        const [owner, ...others] = ids;
+        await pool.sendCommand('learn', ['special'], { thread: owner });
+        await settle();
+        assert.ok(pool.listCommands()[owner].indexOf('special') !== -1);
+        for (const id of others) {
+            assert.strictEqual(pool.listCommands()[id].indexOf('special'), -1);
+        }
+        for (let i = 0; i < 4; i++) {
+            assert.strictEqual(await pool.sendCommand('special'), owner);
+        }
+    });
+
+    it('rejects a command no worker handles without sending it', async function () {
+        await assert.rejects(pool.sendCommand('unknown'), err => {
+            assert.ok(err instanceof CommandNotFoundError);
+            assert.strictEqual(err.command, 'unknown');
+            return true;
+        });
+        assert.strictEqual(pool.getStats().totals.sent, 0);
+    });
+
+    it('lets a worker send a command only a sibling handles', async function () {
+        const [owner, asking] = ids;
+        await pool.sendCommand('learn', ['special'], { thread: owner });
+        await settle();
+        assert.strictEqual(await pool.sendCommand('relay', ['special', []], { thread: asking }), owner);
+        await assert.rejects(pool.sendCommand('relay', ['unknown', []], { thread: asking }),
+            err => err.name === 'CommandNotFoundError');
+    });
+});
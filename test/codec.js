@@ -0,0 +1,50 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool, nextEvent } from './fixtures/pool.js';
+import { CodecMismatchError } from '../lib/Errors.js';
+
+describe('Message codecs', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('runs commands through the codec of the pool', async function () {
+        pool = createPool(2, { codec: 'json' }, { codec: 'json' });
+        const date = new Date(0);
+        assert.strictEqual(await pool.sendCommand('askSibling', ['a', 'b']), 'ab');
+        assert.strictEqual(await pool.sendCommand('echo', [date]), date.toJSON());
+    });
+
+    it('rejects ready() and the waiting commands when a worker uses another codec', async function () {
+        pool = createPool(2, { codec: 'json', supervise: true, readyTimeout: 0 });
+        const refused = nextEvent(pool, 'worker-refused');
+        const restarted = [];
+        pool.addEventListener('worker-restarted', evt => restarted.push(evt));
+        const result = pool.sendCommand('add', [1, 2]);
+        await assert.rejects(pool.ready(), err => {
+            assert.ok(err instanceof CodecMismatchError);
+            assert.strictEqual(err.expected, 'json');
+            assert.strictEqual(err.actual, 'structured-clone');
+            return true;
+        });
+        assert.ok((await refused).error instanceof CodecMismatchError);
+        await assert.rejects(result, CodecMismatchError);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.deepStrictEqual(Object.keys(pool.remotes), []);
+        assert.deepStrictEqual(restarted, []);
+    });
+});
@@ -0,0 +1,84 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+import { MessageChannel } from 'worker_threads';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { CommandNotFoundError } from '../lib/Errors.js';
+
+describe('Errors', function () {
+    let pool = null;
+
+    beforeEach(async function () {
+        pool = createPool(1);
+        await pool.ready();
+    });
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('rebuilds the error thrown by a command', async function () {
+        const [id] = Object.keys(pool.remotes);
+        await assert.rejects(pool.sendCommand('failWithDetails', ['out of range']), err => {
+            assert.ok(err instanceof RangeError);
+            assert.strictEqual(err.message, 'out of range');
+            assert.strictEqual(err.code, 'E_RANGE');
+            assert.strictEqual(err.limit, 10);
+            assert.strictEqual(err.cause.message, 'the cause');
+            assert.strictEqual(err.thread, id);
+            assert.ok(err.stack.indexOf('<remote thread ' + id + '>') !== -1);
+            return true;
+        });
+    });
+
+    it('sends an error with fields that can\'t be cloned with its name, message and stack', async function () {
+        const [id] = Object.keys(pool.remotes);
+        await assert.rejects(pool.sendCommand('failWithHandler', ['no handler']), err => {
+            assert.ok(err instanceof Error);
+            assert.strictEqual(err.message, 'no handler');
+            assert.strictEqual(err.onRetry, undefined);
+            assert.strictEqual(err.request, undefined);
+            assert.strictEqual(err.thread, id);
+            return true;
+        });
+        assert.strictEqual(await pool.sendCommand('add', [1, 2]), 3);
+    });
+
+    it('rejects with the value thrown when it isn\'t an error', async function () {
+        for (const value of [null, '', 0, false, 'oops', { reason: 'oops' }]) {
+            await assert.rejects(pool.sendCommand('throwValue', [value]), err => {
+                assert.deepStrictEqual(err, value);
+                return true;
+            });
+        }
+    });
+
+    it('rejects a command the worker has not registered with a CommandNotFoundError', async function () {
+        await assert.rejects(pool.sendCommand('missing'), err => {
+            assert.ok(err instanceof CommandNotFoundError);
+            assert.strictEqual(err.command, 'missing');
+            return true;
+        });
+    });
+
+    it('replies to a failed command whose arguments were transferred', async function () {
+        const { port1, port2 } = new MessageChannel();
+        await assert.rejects(pool.sendCommand('fail', ['with a port', port1], { transfer: [port1] }), err => {
+            assert.strictEqual(err.name, 'TypeError');
+            assert.strictEqual(err.message, 'with a port');
+            return true;
+        });
+        port2.close();
+    });
+});
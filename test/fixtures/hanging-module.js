@@ -0,0 +1,16 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// never finishes loading, and stops the worker when loaded with ?crash
+if (new URL(import.meta.url).searchParams.has('crash')) {
+    setTimeout(() => process.exit(1), 20);
+}
+await new Promise(() => {});
+
+export default {};
@@ -0,0 +1,24 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import { parentPort } from 'worker_threads';
+
+// local libs
+import { ThreadPool } from '../../lib/ThreadPool.js';
+import { NodeEnvironment } from '../../lib/NodeEnvironment.js';
+
+// a second worker script, for pools with several worker groups
+const thread = new ThreadPool(parentPort, { environment: new NodeEnvironment() });
+
+thread.registerCommand('parse', (threadId, text) => JSON.parse(text));
+
+thread.registerCommand('id', () => thread.id);
+
+thread.registerCommand('group', () => thread.group);
@@ -0,0 +1,58 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import { fileURLToPath } from 'url';
+
+// local libs
+import { WorkerPool } from '../../lib/WorkerPool.js';
+import { NodeEnvironment } from '../../lib/NodeEnvironment.js';
+
+export const WORKER_SCRIPT = fileURLToPath(new URL('./worker.js', import.meta.url));
+
+export const PARSER_SCRIPT = fileURLToPath(new URL('./parser.js', import.meta.url));
+
+/**
+ * Start a pool of the fixture worker on worker_threads
+ * @param {Number} [numWorkers] The number of workers (defaults to 2)
+ * @param {Object} [options] The pool options
+ * @param {Object} [threadOptions] The ThreadPool options of the workers
+ * @returns {WorkerPool}
+ */
+export const createPool = (numWorkers = 2, options = {}, threadOptions = {}) => {
+    const environment = new NodeEnvironment({ workerOptions: { workerData: { threadOptions } } });
+    return new WorkerPool(WORKER_SCRIPT, numWorkers, Object.assign({ environment }, options));
+};
+
+/**
+ * Start a pool with a group of fixture workers and a group of parser workers
+ * @param {Object} [options] The pool options
+ * @param {Object} [groups] More options for each group
+ * @returns {WorkerPool}
+ */
+export const createGroupPool = (options = {}, groups = {}) => {
+    const environment = new NodeEnvironment();
+    return new WorkerPool({
+        encoder: Object.assign({ which: WORKER_SCRIPT, workers: 1 }, groups.encoder),
+        parser: Object.assign({ which: PARSER_SCRIPT, workers: 2 }, groups.parser)
+    }, Object.assign({ environment }, options));
+};
+
+/**
+ * Wait for an event of a pool
+ * @param {WorkerPool} pool The pool
+ * @param {String} type The event type
+ * @returns {Promise} resolves with the event
+ */
+export const nextEvent = (pool, type) => new Promise(resolve => {
+    const idx = pool.addEventListener(type, evt => {
+        pool.removeEventListener(idx);
+        resolve(evt);
+    });
+});
@@ -0,0 +1,11 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// a worker that never starts a ThreadPool, so it is never ready
+setInterval(() => {}, 1000);
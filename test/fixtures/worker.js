@@ -0,0 +1,227 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import { parentPort, workerData } from 'worker_threads';
+
+// local libs
+import { ThreadPool } from '../../lib/ThreadPool.js';
+import { NodeEnvironment } from '../../lib/NodeEnvironment.js';
+
+const options = (workerData && workerData.threadOptions) || {};
+const thread = new ThreadPool(parentPort, Object.assign({ environment: new NodeEnvironment() }, options));
+
+thread.use((ctx, next) => {
+    if (ctx.meta.deny) {
+        throw new Error('Not authorized: ' + ctx.cmd);
+    }
+    if (ctx.meta.skip) {
+        ctx.result = 'skipped';
+        return undefined;
+    }
+    return next();
+});
+
+thread.use(async (ctx, next) => {
+    await next();
+    if (ctx.meta.wrap) {
+        ctx.result = { cmd: ctx.cmd, result: ctx.result };
+    }
+});
+
+// the number of sleep and ticks commands that were cancelled
+let cancelled = 0;
+
+thread.registerCommand('add', (threadId, a, b) => a + b);
+
+thread.registerCommand('echo', (threadId, value) => value);
+
+thread.registerCommand('id', () => thread.id);
+
+thread.registerCommand('group', () => thread.group);
+
+thread.registerCommand('meta', function () {
+    return this.meta;
+});
+
+thread.registerCommand('siblings', () => Object.keys(thread.remotes));
+
+thread.registerCommand('askSibling', (threadId, a, b) => thread.sendCommand('add', [a, b]));
+
+thread.registerCommand('relay', (threadId, name, args) => thread.sendCommand(name, args));
+
+thread.registerCommand('learn', (threadId, name) => {
+    thread.registerCommand(name, () => thread.id);
+    return true;
+});
+
+thread.registerCommand('failOn', (threadId, id) => {
+    if (thread.id === id) {
+        throw new Error('failed on ' + id);
+    }
+    return thread.id;
+});
+
+thread.registerCommand('broadcastIds', (threadId, includeSelf) =>
+    thread.broadcastCommand('id', [], { includeSelf }));
+
+thread.registerCommand('fail', (threadId, message) => {
+    throw new TypeError(message);
+});
+
+thread.registerCommand('failWithDetails', (threadId, message) => {
+    const error = new RangeError(message, { cause: new Error('the cause') });
+    error.code = 'E_RANGE';
+    error.limit = 10;
+    throw error;
+});
+
+thread.registerCommand('failWithHandler', (threadId, message) => {
+    const error = new Error(message);
+    error.onRetry = () => true;
+    error.request = { id: 1, send: () => true };
+    throw error;
+});
+
+thread.registerCommand('throwValue', (threadId, value) => {
+    throw value;
+});
+
+thread.registerCommand('sleep', function (threadId, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(ms), ms);
+        this.signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            cancelled++;
+            reject(new Error('cancelled'));
+        });
+    });
+});
+
+thread.registerCommand('cancelled', () => cancelled);
+
+thread.registerCommand('countTo', async function* (threadId, n) {
+    for (let i = 1; i <= n; i++) {
+        yield i;
+    }
+    return n;
+});
+
+thread.registerCommand('report', function (threadId, n) {
+    for (let i = 1; i <= n; i++) {
+        this.progress(i / n);
+    }
+    return 'done';
+});
+
+thread.registerCommand('ticks', async function* () {
+    try {
+        for (let i = 0; ; i++) {
+            yield i;
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+    } finally {
+        cancelled++;
+    }
+});
+
+thread.registerCommand('byteLength', (threadId, buffer) => buffer.byteLength);
+
+thread.registerCommand('fill', (threadId, length, value) => {
+    const buffer = new Uint8Array(length).fill(value).buffer;
+    return thread.transfer({ buffer, length }, [buffer]);
+});
+
+thread.registerCommand('fillTuple', (threadId, length, value) => {
+    const buffer = new Uint8Array(length).fill(value).buffer;
+    return [{ buffer, length }, [buffer]];
+});
+
+// the chunks flakyDouble has seen, and the number of calls of each command that counts them
+const seen = new Set();
+const calls = {};
+
+thread.registerCommand('double', (threadId, chunk) => Array.from(chunk, x => x * 2));
+
+thread.registerCommand('sum', (threadId, chunk) => Array.from(chunk).reduce((total, x) => total + x, 0));
+
+thread.registerCommand('plus', (threadId, a, b) => a + b);
+
+thread.registerCommand('flakyDouble', (threadId, chunk) => {
+    calls.flakyDouble = (calls.flakyDouble || 0) + 1;
+    const key = Array.from(chunk).join();
+    if (!seen.has(key)) {
+        seen.add(key);
+        throw new Error('flaky');
+    }
+    return Array.from(chunk, x => x * 2);
+});
+
+thread.registerCommand('slowDouble', (threadId, chunk) => {
+    calls.slowDouble = (calls.slowDouble || 0) + 1;
+    return new Promise(resolve => setTimeout(() => resolve(Array.from(chunk, x => x * 2)), 200));
+});
+
+thread.registerCommand('calls', (threadId, name) => calls[name] || 0);
+
+thread.registerCommand('countHits', async (threadId, times) => {
+    const hits = thread.getShared('hits');
+    for (let i = 0; i < times; i++) {
+        await hits.increment();
+    }
+    return hits.get();
+});
+
+thread.registerCommand('pushJob', (threadId, job) => thread.getShared('jobs').push(job));
+
+thread.registerCommand('setConfig', (threadId, key, value) =>
+    thread.getShared('config').update(values => {
+        values[key] = value;
+    }));
+
+thread.registerCommand('lock', (threadId, name) => thread.getShared(name).lock());
+
+thread.registerCommand('lockAndCrash', async (threadId, name) => {
+    await thread.getShared(name).lock();
+    setTimeout(() => process.exit(1));
+    return true;
+});
+
+// the publications received by the subscriptions of subscribeTo
+const received = [];
+
+thread.registerCommand('subscribeTo', (threadId, pattern) => thread.subscribe(pattern, (payload, { topic, thread }) =>
+    received.push({ topic, payload, thread })));
+
+thread.registerCommand('subscribeBroken', (threadId, pattern) => {
+    thread.addEventListener('subscriber-error', ({ topic, error }) => received.push({ topic, error: error.message }));
+    return thread.subscribe(pattern, () => {
+        throw new Error('broken subscriber');
+    });
+});
+
+thread.registerCommand('unsubscribeFrom', (threadId, idx) => thread.unsubscribe(idx));
+
+thread.registerCommand('received', () => received);
+
+thread.registerCommand('publishTo', (threadId, topic, payload) => thread.publish(topic, payload));
+
+thread.registerCommand('httpGet', (threadId, url) => thread.http.get(url));
+
+thread.registerCommand('crash', () => {
+    setTimeout(() => process.exit(1));
+    return new Promise(() => {});
+});
+
+thread.registerCommand('throwLater', (threadId, message) => {
+    setTimeout(() => {
+        throw new Error(message);
+    });
+    return true;
+});
@@ -0,0 +1,103 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { PARSER_SCRIPT, createGroupPool, createPool } from './fixtures/pool.js';
+
+describe('Worker groups', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('puts a pool with a single worker script in the default group', async function () {
+        pool = createPool(2);
+        await pool.ready();
+        assert.deepStrictEqual(pool.getGroupWorkers('default').sort(), Object.keys(pool.remotes).sort());
+        assert.strictEqual(await pool.sendCommand('group'), 'default');
+    });
+
+    it('runs each group with its own script and number of workers', async function () {
+        pool = createGroupPool();
+        await pool.ready();
+        const encoders = pool.getGroupWorkers('encoder');
+        const parsers = pool.getGroupWorkers('parser');
+        assert.strictEqual(encoders.length, 1);
+        assert.strictEqual(parsers.length, 2);
+        assert.strictEqual(pool.getWorkerGroup(encoders[0]), 'encoder');
+        assert.strictEqual(pool.getWorkerGroup('unknown'), null);
+        assert.deepStrictEqual(await pool.sendCommand('group', [], { thread: parsers[0] }), 'parser');
+    });
+
+    it('sends commands to a group, or to any worker that handles them', async function () {
+        pool = createGroupPool();
+        await pool.ready();
+        const parsers = pool.getGroupWorkers('parser');
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual(await pool.sendCommand('group', [], { group: 'encoder' }), 'encoder');
+            assert.ok(parsers.indexOf(await pool.sendCommand('id', [], { group: 'parser' })) !== -1);
+        }
+        assert.deepStrictEqual(await pool.sendCommand('parse', ['[1]']), [1]);
+        await assert.rejects(pool.sendCommand('add', [1, 2], { group: 'parser' }), err => err.name === 'CommandNotFoundError');
+        await assert.rejects(pool.sendCommand('add', [1, 2], { group: 'unknown' }), /Invalid Group/);
+    });
+
+    it('connects the workers of every group to each other', async function () {
+        pool = createGroupPool();
+        await pool.ready();
+        const [encoder] = pool.getGroupWorkers('encoder');
+        assert.deepStrictEqual((await pool.sendCommand('siblings', [], { thread: encoder })).sort(),
+            pool.getGroupWorkers('parser').sort());
+        assert.deepStrictEqual(await pool.sendCommand('relay', ['parse', ['{"a":1}']], { thread: encoder }), { a: 1 });
+    });
+
+    it('broadcasts a command to the workers of a group', async function () {
+        pool = createGroupPool();
+        await pool.ready();
+        const results = await pool.broadcastCommand('group', [], { group: 'parser' });
+        assert.deepStrictEqual(Object.keys(results).sort(), pool.getGroupWorkers('parser').sort());
+        assert.ok(Object.values(results).every(group => group === 'parser'));
+    });
+
+    it('spawns workers in a group, and adds groups', async function () {
+        pool = createGroupPool();
+        pool.spawn(1, 'encoder');
+        pool.addGroup('extra', { which: PARSER_SCRIPT, workers: 1 });
+        assert.throws(() => pool.addGroup('extra', { which: PARSER_SCRIPT }), /already exists/);
+        await pool.ready();
+        assert.strictEqual(pool.getGroupWorkers('encoder').length, 2);
+        assert.strictEqual(await pool.sendCommand('group', [], { group: 'extra' }), 'extra');
+    });
+
+    it('scales each group on its own', async function () {
+        pool = createGroupPool({ scaleInterval: 20, maxConcurrentPerWorker: 1 },
+            { encoder: { minWorkers: 1, maxWorkers: 2 } });
+        await pool.ready();
+        const spawned = new Promise(resolve => pool.addEventListener('worker-spawned', resolve));
+        const results = [100, 100, 100].map(ms => pool.sendCommand('sleep', [ms], { group: 'encoder' }));
+        assert.strictEqual((await spawned).group, 'encoder');
+        await Promise.all(results);
+        assert.strictEqual(pool.getGroupWorkers('encoder').length, 2);
+        assert.strictEqual(pool.getGroupWorkers('parser').length, 2);
+    });
+
+    it('reports the statistics of each group', async function () {
+        pool = createGroupPool();
+        await pool.sendCommand('parse', ['1']);
+        const { groups } = pool.getStats();
+        assert.strictEqual(groups.parser.sent, 1);
+        assert.strictEqual(groups.parser.workers, 2);
+        assert.strictEqual(groups.encoder.sent, 0);
+    });
+});
@@ -0,0 +1,185 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+import http from 'http';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { HttpClient } from '../lib/HttpClient.js';
+import { HttpError, HttpTimeoutError } from '../lib/Errors.js';
+import { ThreadPool } from '../lib/ThreadPool.js';
+
+describe('HTTP client', function () {
+    let server = null;
+    let baseUrl = null;
+    let hits = 0;
+
+    before(function (done) {
+        server = http.createServer((req, res) => {
+            hits += 1;
+            let body = '';
+            req.on('data', chunk => body += chunk);
+            req.on('end', () => {
+                if (req.url === '/flaky' && hits % 2 === 1) {
+                    res.writeHead(503);
+                    res.end();
+                    return;
+                }
+                if (req.url === '/missing') {
+                    res.writeHead(404, { 'content-type': 'application/json' });
+                    res.end(JSON.stringify({ reason: 'missing' }));
+                    return;
+                }
+                if (req.url === '/drop') {
+                    req.socket.destroy();
+                    return;
+                }
+                if (req.url === '/slow') {
+                    setTimeout(() => res.end('late'), 500);
+                    return;
+                }
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({
+                    method: req.method,
+                    body: body ? JSON.parse(body) : null,
+                    authorization: req.headers.authorization || null
+                }));
+            });
+        });
+        server.listen(0, '127.0.0.1', () => {
+            baseUrl = 'http://127.0.0.1:' + server.address().port;
+            done();
+        });
+    });
+
+    after(function (done) {
+        // fetch keeps connections alive
+        server.closeAllConnections();
+        server.close(done);
+    });
+
+    beforeEach(function () {
+        hits = 0;
+    });
+
+    it('sends objects as JSON and reads JSON responses', async function () {
+        const client = new HttpClient();
+        assert.deepStrictEqual(await client.post(baseUrl + '/echo', { a: 1 }),
+            { method: 'POST', body: { a: 1 }, authorization: null });
+    });
+
+    it('rejects error statuses with an HttpError', async function () {
+        const client = new HttpClient();
+        await assert.rejects(client.get(baseUrl + '/missing'), err => {
+            assert.ok(err instanceof HttpError);
+            assert.strictEqual(err.status, 404);
+            assert.deepStrictEqual(err.body, { reason: 'missing' });
+            return true;
+        });
+    });
+
+    it('retries 5xx responses', async function () {
+        const client = new HttpClient({ retries: 1, retryDelay: 10 });
+        assert.strictEqual((await client.get(baseUrl + '/flaky')).method, 'GET');
+        assert.strictEqual(hits, 2);
+    });
+
+    it('retries network errors of idempotent requests only, unless told to', async function () {
+        const client = new HttpClient({ retries: 1, retryDelay: 10 });
+        await assert.rejects(client.get(baseUrl + '/drop'));
+        assert.strictEqual(hits, 2);
+        hits = 0;
+        await assert.rejects(client.post(baseUrl + '/drop', { a: 1 }));
+        assert.strictEqual(hits, 1);
+        hits = 0;
+        await assert.rejects(client.post(baseUrl + '/drop', { a: 1 }, { idempotent: true }));
+        assert.strictEqual(hits, 2);
+        hits = 0;
+        await assert.rejects(client.get(baseUrl + '/drop', { idempotent: false }));
+        assert.strictEqual(hits, 1);
+    });
+
+    it('times out with an HttpTimeoutError', async function () {
+        const client = new HttpClient({ timeout: 50 });
+        await assert.rejects(client.get(baseUrl + '/slow'), err => {
+            assert.ok(err instanceof HttpTimeoutError);
+            assert.strictEqual(err.timeout, 50);
+            assert.strictEqual(err.url, baseUrl + '/slow');
+            assert.strictEqual(err.message, 'Request timed out after 50ms: ' + baseUrl + '/slow');
+            return true;
+        });
+    });
+
+    it('uses the fetch option', async function () {
+        const calls = [];
+        const client = new HttpClient({
+            fetch: (url, init) => {
+                calls.push(url);
+                return fetch(url, init);
+            }
+        });
+        await client.get(baseUrl + '/echo');
+        assert.deepStrictEqual(calls, [baseUrl + '/echo']);
+    });
+
+    describe('without a global fetch', function () {
+        const globalFetch = globalThis.fetch;
+
+        beforeEach(function () {
+            delete globalThis.fetch;
+        });
+
+        afterEach(function () {
+            globalThis.fetch = globalFetch;
+        });
+
+        it('throws a TypeError when no fetch is given', function () {
+            assert.throws(() => new HttpClient(), /fetch option/);
+            assert.throws(() => new HttpClient({ fetch: 'fetch' }), TypeError);
+        });
+
+        it('works with the fetch option', async function () {
+            const client = new HttpClient({ fetch: globalFetch });
+            assert.strictEqual((await client.get(baseUrl + '/echo')).method, 'GET');
+        });
+
+        it('lets a ThreadPool start, and throws on first use of its client', function () {
+            const context = { addEventListener() {}, postMessage() {} };
+            const thread = new ThreadPool(context);
+            assert.throws(() => thread.http, TypeError);
+        });
+    });
+
+    describe('in a worker', function () {
+        let pool = null;
+
+        afterEach(function () {
+            pool.terminate();
+            pool = null;
+        });
+
+        it('sends the authorization set by the pool', async function () {
+            pool = createPool(1);
+            pool.setHttpAuthorization('dXNlcjpwYXNz');
+            const response = await pool.sendCommand('httpGet', [baseUrl + '/echo']);
+            assert.strictEqual(response.authorization, 'Basic dXNlcjpwYXNz');
+        });
+
+        it('stops sending the authorization once the pool clears it', async function () {
+            pool = createPool(1);
+            pool.setHttpAuthorization('dXNlcjpwYXNz');
+            await pool.sendCommand('httpGet', [baseUrl + '/echo']);
+            pool.setHttpAuthorization(null);
+            const response = await pool.sendCommand('httpGet', [baseUrl + '/echo']);
+            assert.strictEqual(response.authorization, null);
+        });
+    });
+});
@@ -0,0 +1,75 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { isRetryable } from '../lib/DataParallel.js';
+import { AbortError, CommandNotFoundError, PoolTerminatedError, QueueFullError, TimeoutError,
+    WorkerCrashedError } from '../lib/Errors.js';
+
+describe('Map and reduce', function () {
+    let pool = null;
+
+    afterEach(function () {
+        if (pool) {
+            pool.terminate();
+            pool = null;
+        }
+    });
+
+    it('maps chunks on the workers and joins the results in order', async function () {
+        pool = createPool(2);
+        const items = Array.from({ length: 10 }, (x, idx) => idx);
+        assert.deepStrictEqual(await pool.map('double', items, { chunkSize: 3 }), items.map(x => x * 2));
+    });
+
+    it('joins typed arrays into a typed array', async function () {
+        pool = createPool(2);
+        const result = await pool.map('double', new Float64Array([1, 2, 3, 4]));
+        assert.deepStrictEqual(Array.from(result), [2, 4, 6, 8]);
+    });
+
+    it('reduces the partial results of the chunks', async function () {
+        pool = createPool(2);
+        const items = Array.from({ length: 100 }, (x, idx) => idx);
+        assert.strictEqual(await pool.reduce('sum', 'plus', items, { chunkSize: 7 }), 4950);
+        assert.strictEqual(await pool.reduce('sum', 'plus', [], { initial: 0 }), 0);
+    });
+
+    it('tries a chunk again when its command throws', async function () {
+        pool = createPool(1);
+        assert.deepStrictEqual(await pool.map('flakyDouble', [1, 2, 3, 4], { chunkSize: 2 }), [2, 4, 6, 8]);
+        assert.strictEqual(await pool.sendCommand('calls', ['flakyDouble']), 4);
+    });
+
+    it('does not try a chunk again when it times out', async function () {
+        pool = createPool(1);
+        await pool.ready();
+        await assert.rejects(pool.map('slowDouble', [1, 2], { timeout: 20 }), TimeoutError);
+        assert.strictEqual(await pool.sendCommand('calls', ['slowDouble']), 1);
+    });
+
+    it('only retries crashes and the errors thrown by commands', function () {
+        const thrown = new Error('thrown by the command');
+        thrown.thread = 'worker';
+        const missing = new CommandNotFoundError('missing');
+        missing.thread = 'worker';
+        assert.strictEqual(isRetryable(thrown), true);
+        assert.strictEqual(isRetryable(new WorkerCrashedError('worker')), true);
+        assert.strictEqual(isRetryable(missing), false);
+        assert.strictEqual(isRetryable(new TimeoutError(100)), false);
+        assert.strictEqual(isRetryable(new AbortError()), false);
+        assert.strictEqual(isRetryable(new QueueFullError(10)), false);
+        assert.strictEqual(isRetryable(new PoolTerminatedError()), false);
+        assert.strictEqual(isRetryable(new Error('Invalid Group')), false);
+    });
+});
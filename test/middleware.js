@@ -0,0 +1,65 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+
+describe('Middleware and interceptors', function () {
+    let pool = null;
+
+    beforeEach(function () {
+        pool = createPool(1);
+    });
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('sends the meta option to the executing thread', async function () {
+        assert.deepStrictEqual(await pool.sendCommand('meta', [], { meta: { token: 'secret' } }), { token: 'secret' });
+    });
+
+    it('lets middleware replace the result', async function () {
+        assert.deepStrictEqual(await pool.sendCommand('add', [1, 2], { meta: { wrap: true } }),
+            { cmd: 'add', result: 3 });
+    });
+
+    it('rejects the command when middleware throws', async function () {
+        await assert.rejects(pool.sendCommand('add', [1, 2], { meta: { deny: true } }), /Not authorized: add/);
+    });
+
+    it('skips the command when middleware does not call next', async function () {
+        assert.strictEqual(await pool.sendCommand('fail', ['not run'], { meta: { skip: true } }), 'skipped');
+    });
+
+    it('runs interceptors around the commands the pool sends', async function () {
+        const order = [];
+        pool.intercept(async (ctx, next) => {
+            order.push('outer ' + ctx.cmd);
+            ctx.meta.token = 'secret';
+            await next();
+            order.push('outer done');
+        });
+        pool.intercept(async (ctx, next) => {
+            order.push('inner');
+            await next();
+            ctx.result = { intercepted: ctx.result };
+        });
+        assert.deepStrictEqual(await pool.sendCommand('meta'), { intercepted: { token: 'secret' } });
+        assert.deepStrictEqual(order, ['outer meta', 'inner', 'outer done']);
+    });
+
+    it('rejects interceptors that are not functions', function () {
+        assert.throws(() => pool.intercept('interceptor'), TypeError);
+    });
+});
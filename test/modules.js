@@ -0,0 +1,82 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { CommandError, CommandNotFoundError, WorkerCrashedError } from '../lib/Errors.js';
+
+const MODULE_URL = new URL('./fixtures/module.js', import.meta.url);
+const HANGING_MODULE_URL = new URL('./fixtures/hanging-module.js', import.meta.url);
+
+describe('Command modules', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('loads a module of commands on every worker', async function () {
+        pool = createPool(2);
+        const ids = await pool.ready();
+        const outcome = await pool.loadModule(MODULE_URL, { name: 'math' });
+        for (const id of ids) {
+            assert.deepStrictEqual(outcome[id], { status: 'fulfilled', value: ['multiply'] });
+        }
+        assert.strictEqual(await pool.sendCommand('multiply', [6, 7]), 42);
+    });
+
+    it('loads the modules on the workers spawned later', async function () {
+        pool = createPool(1);
+        await pool.loadModule(MODULE_URL, { name: 'math' });
+        const worker = pool.spawnWorker();
+        assert.strictEqual(await pool.sendCommand('multiply', [2, 3], { thread: worker.id }), 6);
+    });
+
+    it('loads a module on the workers that were starting up once they are ready', async function () {
+        pool = createPool(1);
+        const [id] = await pool.ready();
+        const starting = pool.spawnWorker();
+        const loading = pool.loadModule(MODULE_URL, { name: 'math' });
+        const spawned = pool.spawnWorker();
+        assert.deepStrictEqual(Object.keys(await loading), [id]);
+        await pool.ready();
+        for (const worker of [starting, spawned]) {
+            assert.strictEqual(await pool.sendCommand('multiply', [2, 3], { thread: worker.id }), 6);
+        }
+    });
+
+    it('removes the commands of a module that is unloaded', async function () {
+        pool = createPool(1);
+        await pool.loadModule(MODULE_URL, { name: 'math' });
+        pool.unloadModule('math');
+        await assert.rejects(pool.sendCommand('multiply', [2, 3]), CommandNotFoundError);
+    });
+
+    it('reports the crash of a worker that was loading a module', async function () {
+        pool = createPool(1, { supervise: { backoff: 10 } });
+        const [id] = await pool.ready();
+        const outcome = await pool.loadModule(HANGING_MODULE_URL + '?crash', { name: 'hanging' });
+        assert.ok(outcome[id].reason instanceof WorkerCrashedError);
+    });
+
+    it('reports the termination of a worker that was loading a module', async function () {
+        pool = createPool(2);
+        const [id, other] = await pool.ready();
+        const loading = pool.loadModule(HANGING_MODULE_URL, { name: 'hanging' });
+        pool.terminate(id);
+        pool.terminate(other);
+        const outcome = await loading;
+        assert.ok(outcome[id].reason instanceof CommandError);
+        assert.ok(outcome[other].reason instanceof CommandError);
+    });
+});
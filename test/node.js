@@ -0,0 +1,52 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+
+describe('NodeEnvironment', function () {
+    let pool = null;
+
+    afterEach(function () {
+        if (pool) {
+            pool.terminate();
+            pool = null;
+        }
+    });
+
+    it('runs commands on worker_threads workers', async function () {
+        pool = createPool(2);
+        const ids = await pool.ready();
+        assert.strictEqual(ids.length, 2);
+        assert.strictEqual(await pool.sendCommand('add', [2, 3]), 5);
+        assert.ok(ids.indexOf(await pool.sendCommand('id')) !== -1);
+    });
+
+    it('wires the workers to each other', async function () {
+        pool = createPool(3);
+        const ids = await pool.ready();
+        const results = await pool.broadcastCommand('siblings');
+        for (const id of ids) {
+            assert.deepStrictEqual(results[id].sort(), ids.filter(other => other !== id).sort());
+        }
+        assert.strictEqual(await pool.sendCommand('askSibling', [4, 5]), 9);
+    });
+
+    it('rejects with the error thrown by the command', async function () {
+        pool = createPool(1);
+        await assert.rejects(pool.sendCommand('fail', ['nope']), err => {
+            assert.strictEqual(err.name, 'TypeError');
+            assert.strictEqual(err.message, 'nope');
+            return true;
+        });
+    });
+});
@@ -0,0 +1,70 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+
+describe('Command priorities', function () {
+    let pool = null;
+    let order = null;
+
+    /**
+     * Queue a command that records when it is done
+     * @param {String} name A name for the command
+     * @param {Object} [options] The command options
+     * @returns {Promise}
+     */
+    const queue = (name, options = {}) => {
+        const promise = pool.sendCommand('echo', [name], options);
+        promise.then(value => order.push(value));
+        return promise;
+    };
+
+    beforeEach(function () {
+        order = [];
+    });
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('dispatches higher priorities first', async function () {
+        pool = createPool(1, { maxConcurrentPerWorker: 1, agingInterval: 0 });
+        await pool.ready();
+        const running = pool.sendCommand('sleep', [50]);
+        await Promise.all([running, queue('low', { priority: -1 }), queue('normal'), queue('high', { priority: 10 })]);
+        assert.deepStrictEqual(order, ['high', 'normal', 'low']);
+    });
+
+    it('changes the priority of a waiting command by its callback id', async function () {
+        pool = createPool(1, { maxConcurrentPerWorker: 1, agingInterval: 0 });
+        await pool.ready();
+        const running = pool.sendCommand('sleep', [50]);
+        const prefetch = queue('prefetch', { priority: -1 });
+        const thumbnail = queue('thumbnail', { priority: 10 });
+        assert.strictEqual(pool.setPriority(prefetch.callbackId, 20), true);
+        await Promise.all([running, prefetch, thumbnail]);
+        assert.deepStrictEqual(order, ['prefetch', 'thumbnail']);
+        assert.strictEqual(pool.setPriority(prefetch.callbackId, 0), false);
+    });
+
+    it('ages waiting commands so they are not starved', async function () {
+        pool = createPool(1, { maxConcurrentPerWorker: 1, agingInterval: 10 });
+        await pool.ready();
+        const running = pool.sendCommand('sleep', [100]);
+        const low = queue('low', { priority: -1 });
+        await new Promise(resolve => setTimeout(resolve, 60));
+        await Promise.all([running, low, queue('high', { priority: 2 })]);
+        assert.deepStrictEqual(order, ['low', 'high']);
+    });
+});
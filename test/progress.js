@@ -0,0 +1,84 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+
+describe('Progress and streaming', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('reports the progress of a command to onProgress', async function () {
+        pool = createPool(1);
+        const progress = [];
+        const result = await pool.sendCommand('report', [4], { onProgress: data => progress.push(data) });
+        assert.strictEqual(result, 'done');
+        assert.deepStrictEqual(progress, [0.25, 0.5, 0.75, 1]);
+    });
+
+    it('reports a progress callback that throws with a progress-error event', async function () {
+        pool = createPool(1);
+        const errors = [];
+        pool.addEventListener('progress-error', evt => errors.push(evt));
+        const promise = pool.sendCommand('report', [2], {
+            onProgress: () => {
+                throw new Error('bad callback');
+            }
+        });
+        assert.strictEqual(await promise, 'done');
+        assert.strictEqual(errors.length, 2);
+        assert.strictEqual(errors[0].callbackId, promise.callbackId);
+        assert.strictEqual(errors[0].error.message, 'bad callback');
+        assert.strictEqual(await pool.sendCommand('add', [1, 2]), 3);
+    });
+
+    it('sends the values yielded by a generator as progress', async function () {
+        pool = createPool(1);
+        const progress = [];
+        const result = await pool.sendCommand('countTo', [3], { onProgress: data => progress.push(data) });
+        assert.strictEqual(result, 3);
+        assert.deepStrictEqual(progress, [1, 2, 3]);
+    });
+
+    it('iterates over the progress with streamCommand', async function () {
+        pool = createPool(1);
+        const stream = pool.streamCommand('countTo', [3]);
+        const values = [];
+        for await (const value of stream) {
+            values.push(value);
+        }
+        assert.deepStrictEqual(values, [1, 2, 3]);
+        assert.strictEqual(await stream.result, 3);
+    });
+
+    it('cancels the command when the loop is left early', async function () {
+        pool = createPool(1);
+        await pool.ready();
+        const [id] = Object.keys(pool.remotes);
+        const stream = pool.streamCommand('ticks', [], { thread: id });
+        stream.result.catch(() => {});
+        const values = [];
+        for await (const value of stream) {
+            values.push(value);
+            if (values.length === 3) {
+                break;
+            }
+        }
+        assert.deepStrictEqual(values, [0, 1, 2]);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual(await pool.sendCommand('cancelled', [], { thread: id }), 1);
+    });
+});
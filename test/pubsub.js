@@ -0,0 +1,107 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { matchTopic } from '../lib/TopicAwareMixin.js';
+
+/**
+ * Wait for messages in flight between threads
+ * @returns {Promise}
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+describe('Publish and subscribe', function () {
+    let pool = null;
+    let ids = null;
+
+    beforeEach(async function () {
+        pool = createPool(2);
+        await pool.ready();
+        ids = Object.keys(pool.remotes);
+    });
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('delivers publications of the main thread to the subscribed workers only', async function () {
+        const [subscriber, other] = ids;
+        await pool.sendCommand('subscribeTo', ['jobs.*.done'], { thread: subscriber });
+        await settle();
+        assert.deepStrictEqual(pool.publish('jobs.encode.done', { id: 42 }), [subscriber]);
+        await settle();
+        assert.deepStrictEqual(await pool.sendCommand('received', [], { thread: subscriber }),
+            [{ topic: 'jobs.encode.done', payload: { id: 42 }, thread: pool.id }]);
+        assert.deepStrictEqual(await pool.sendCommand('received', [], { thread: other }), []);
+    });
+
+    it('delivers publications of a worker to its siblings and the main thread', async function () {
+        const [publisher, subscriber] = ids;
+        const received = [];
+        pool.subscribe('jobs.**', (payload, { topic, thread }) => received.push({ topic, payload, thread }));
+        await pool.sendCommand('subscribeTo', ['jobs.**'], { thread: subscriber });
+        await settle();
+        const reached = await pool.sendCommand('publishTo', ['jobs.encode.done', 1], { thread: publisher });
+        assert.deepStrictEqual(reached.sort(), [pool.id, subscriber].sort());
+        await settle();
+        assert.deepStrictEqual(received, [{ topic: 'jobs.encode.done', payload: 1, thread: publisher }]);
+        assert.deepStrictEqual(await pool.sendCommand('received', [], { thread: subscriber }),
+            [{ topic: 'jobs.encode.done', payload: 1, thread: publisher }]);
+    });
+
+    it('reports a subscriber that throws, and still delivers to the others', async function () {
+        const [subscriber] = ids;
+        await pool.sendCommand('subscribeBroken', ['jobs.*'], { thread: subscriber });
+        await pool.sendCommand('subscribeTo', ['jobs.*'], { thread: subscriber });
+        const errors = [];
+        pool.addEventListener('subscriber-error', evt => errors.push(evt));
+        pool.subscribe('jobs.*', () => Promise.reject(new Error('broken main subscriber')));
+        await settle();
+        pool.publish('jobs.encode', 1);
+        await settle();
+        assert.deepStrictEqual(await pool.sendCommand('received', [], { thread: subscriber }), [
+            { topic: 'jobs.encode', error: 'broken subscriber' },
+            { topic: 'jobs.encode', payload: 1, thread: pool.id }
+        ]);
+        assert.strictEqual(errors.length, 1);
+        assert.strictEqual(errors[0].topic, 'jobs.encode');
+        assert.strictEqual(errors[0].thread, pool.id);
+        assert.strictEqual(errors[0].error.message, 'broken main subscriber');
+    });
+
+    it('stops delivering after unsubscribe', async function () {
+        const [subscriber] = ids;
+        const idx = await pool.sendCommand('subscribeTo', ['jobs.*'], { thread: subscriber });
+        await settle();
+        assert.strictEqual(await pool.sendCommand('unsubscribeFrom', [idx], { thread: subscriber }), true);
+        await settle();
+        assert.deepStrictEqual(pool.publish('jobs.encode', 1), []);
+    });
+
+    it('forgets the subscriptions of a terminated worker', async function () {
+        const [subscriber] = ids;
+        await pool.sendCommand('subscribeTo', ['jobs.*'], { thread: subscriber });
+        await settle();
+        pool.terminate(subscriber);
+        assert.deepStrictEqual(pool.publish('jobs.encode', 1), []);
+    });
+
+    it('matches topics segment by segment', function () {
+        assert.strictEqual(matchTopic('jobs.*.done', 'jobs.encode.done'), true);
+        assert.strictEqual(matchTopic('jobs.*.done', 'jobs.encode.video.done'), false);
+        assert.strictEqual(matchTopic('jobs.**', 'jobs.encode.video.done'), true);
+        assert.strictEqual(matchTopic('jobs.**.done', 'jobs.done'), true);
+        assert.strictEqual(matchTopic('jobs', 'jobs.done'), false);
+    });
+});
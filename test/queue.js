@@ -0,0 +1,59 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { QueueFullError } from '../lib/Errors.js';
+
+describe('Queueing and backpressure', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('caps the commands each worker runs at once', async function () {
+        pool = createPool(2, { maxConcurrentPerWorker: 1 });
+        await pool.ready();
+        const results = [50, 50, 50, 50].map(ms => pool.sendCommand('sleep', [ms]));
+        assert.strictEqual(pool.pending, 2);
+        assert.strictEqual(pool.queued, 2);
+        assert.deepStrictEqual(await Promise.all(results), [50, 50, 50, 50]);
+        assert.strictEqual(pool.pending, 0);
+        assert.strictEqual(pool.queued, 0);
+    });
+
+    it('rejects commands with a QueueFullError when the queue is full', async function () {
+        pool = createPool(1, { maxConcurrentPerWorker: 1, maxQueueSize: 1 });
+        await pool.ready();
+        const running = pool.sendCommand('sleep', [50]);
+        const queued = pool.sendCommand('sleep', [10]);
+        await assert.rejects(pool.sendCommand('sleep', [10]), err => {
+            assert.ok(err instanceof QueueFullError);
+            assert.strictEqual(err.maxQueueSize, 1);
+            return true;
+        });
+        assert.deepStrictEqual(await Promise.all([running, queued]), [50, 10]);
+    });
+
+    it('blocks commands until there is room in the queue', async function () {
+        pool = createPool(1, { maxConcurrentPerWorker: 1, maxQueueSize: 1, onQueueFull: 'block' });
+        await pool.ready();
+        const results = [30, 20, 10].map(ms => pool.sendCommand('sleep', [ms]));
+        assert.strictEqual(pool.pending, 1);
+        assert.strictEqual(pool.queued, 1);
+        assert.strictEqual(pool.blocked, 1);
+        assert.deepStrictEqual(await Promise.all(results), [30, 20, 10]);
+        assert.strictEqual(pool.blocked, 0);
+    });
+});
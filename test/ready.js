@@ -0,0 +1,75 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+import { fileURLToPath } from 'url';
+
+// local libs
+import { createPool, nextEvent } from './fixtures/pool.js';
+import { WorkerPool } from '../lib/WorkerPool.js';
+import { NodeEnvironment } from '../lib/NodeEnvironment.js';
+import { PoolTerminatedError, ReadyTimeoutError } from '../lib/Errors.js';
+
+const SILENT_SCRIPT = fileURLToPath(new URL('./fixtures/silent.js', import.meta.url));
+
+describe('Readiness', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('resolves with the ids of the workers once they are connected to each other', async function () {
+        pool = createPool(3);
+        const ids = await pool.ready();
+        assert.deepStrictEqual(ids.slice().sort(), Object.keys(pool.remotes).sort());
+        for (const id of ids) {
+            assert.strictEqual(pool.remotes[id].ready, true);
+            assert.strictEqual(pool.remotes[id].isConnected(), true);
+        }
+    });
+
+    it('holds the commands sent before the workers are ready', async function () {
+        pool = createPool(1);
+        const result = pool.sendCommand('add', [1, 1]);
+        assert.strictEqual(pool.queued, 1);
+        assert.strictEqual(await result, 2);
+    });
+
+    it('waits for the workers spawned later', async function () {
+        pool = createPool(1);
+        await pool.ready();
+        const ready = nextEvent(pool, 'worker-ready');
+        const worker = pool.spawnWorker();
+        const ids = await pool.ready();
+        assert.strictEqual((await ready).id, worker.id);
+        assert.strictEqual(ids.length, 2);
+        assert.strictEqual(await pool.sendCommand('askSibling', [2, 2], { thread: worker.id }), 4);
+    });
+
+    it('rejects with a ReadyTimeoutError for a worker that is not ready in time', async function () {
+        pool = new WorkerPool(SILENT_SCRIPT, 1, { environment: new NodeEnvironment(), readyTimeout: 100 });
+        const timedOut = nextEvent(pool, 'worker-ready-timeout');
+        const result = pool.sendCommand('add', [1, 1]);
+        await assert.rejects(pool.ready(), ReadyTimeoutError);
+        assert.strictEqual((await timedOut).error.timeout, 100);
+        await assert.rejects(result);
+        assert.deepStrictEqual(Object.keys(pool.remotes), []);
+    });
+
+    it('rejects with a PoolTerminatedError once the pool is terminated', async function () {
+        pool = createPool(1);
+        const ready = pool.ready();
+        pool.terminate();
+        await assert.rejects(ready, PoolTerminatedError);
+        await assert.rejects(pool.ready(), PoolTerminatedError);
+    });
+});
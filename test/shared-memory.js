@@ -0,0 +1,84 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool, nextEvent } from './fixtures/pool.js';
+
+for (const sharedMemory of [true, false]) {
+    describe('Shared memory' + (sharedMemory ? '' : ' (passing messages)'), function () {
+        let pool = null;
+
+        beforeEach(async function () {
+            pool = createPool(2, { sharedMemory, supervise: { backoff: 10 } });
+            await pool.ready();
+        });
+
+        afterEach(function () {
+            pool.terminate();
+            pool = null;
+        });
+
+        it('counts across the workers', async function () {
+            const hits = pool.createSharedCounter('hits');
+            await Promise.all([pool.sendCommand('countHits', [50]), pool.sendCommand('countHits', [50])]);
+            assert.strictEqual(await hits.get(), 100);
+        });
+
+        it('queues and stores values from the workers', async function () {
+            const jobs = pool.createSharedQueue('jobs');
+            const config = pool.createSharedStore('config', { initial: { quality: 80 } });
+            await pool.sendCommand('pushJob', [{ id: 1 }]);
+            await pool.sendCommand('setConfig', ['lastJob', 1]);
+            assert.deepStrictEqual(await jobs.shift(), { id: 1 });
+            assert.deepStrictEqual(await config.toObject(), { quality: 80, lastJob: 1 });
+        });
+
+        it('hands the objects to the workers spawned later', async function () {
+            const hits = pool.createSharedCounter('hits');
+            const worker = pool.spawnWorker();
+            assert.strictEqual(await pool.sendCommand('countHits', [3], { thread: worker.id }), 3);
+            assert.strictEqual(await hits.get(), 3);
+        });
+
+        if (!sharedMemory) {
+            it('releases the lock of a worker that crashes', async function () {
+                const mutex = pool.createSharedMutex('mutex');
+                const [id] = Object.keys(pool.remotes);
+                const crashed = nextEvent(pool, 'worker-crashed');
+                await pool.sendCommand('lockAndCrash', ['mutex'], { thread: id });
+                await crashed;
+                assert.strictEqual(await mutex.tryLock(), true);
+            });
+
+            it('releases the lock of a worker that is terminated', async function () {
+                const mutex = pool.createSharedMutex('mutex');
+                const [id] = Object.keys(pool.remotes);
+                assert.strictEqual(await pool.sendCommand('lock', ['mutex'], { thread: id }), true);
+                assert.strictEqual(await mutex.tryLock(), false);
+                pool.terminate(id);
+                assert.strictEqual(await mutex.tryLock(), true);
+            });
+
+            it('releases a lock acquired for a worker that is gone', async function () {
+                const store = pool.createSharedStore('config');
+                const [id] = Object.keys(pool.remotes);
+                await store.lock();
+                pool.sendCommand('lock', ['config'], { thread: id }).catch(() => {});
+                await new Promise(resolve => setTimeout(resolve, 20));
+                pool.terminate(id);
+                await store.unlock();
+                await new Promise(resolve => setTimeout(resolve, 50));
+                assert.strictEqual(await store.lock(100), true);
+            });
+        }
+    });
+}
@@ -0,0 +1,126 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+import { MessageChannel } from 'worker_threads';
+
+// local libs
+import { ThreadPool } from '../lib/ThreadPool.js';
+import { WorkerPool } from '../lib/WorkerPool.js';
+import { BrowserEnvironment } from '../lib/BrowserEnvironment.js';
+import { NodeEnvironment } from '../lib/NodeEnvironment.js';
+
+/**
+ * Runs a ThreadPool on this thread as if it were a shared worker, the tabs connect through connect()
+ */
+class SharedContextEnvironment extends NodeEnvironment {
+    isSharedWorkerContext() {
+        return true;
+    }
+
+    addConnectListener(context, fn) {
+        context.connect = fn;
+    }
+}
+
+/**
+ * Connect a tab to the shared worker context
+ * @param {Object} context The shared worker context
+ * @returns {Object} the tab ({port, send(data), reply(callbackId)})
+ */
+const connectTab = context => {
+    const channel = new MessageChannel();
+    const waiting = {};
+    channel.port1.on('message', data => {
+        if (data.returnId in waiting) {
+            waiting[data.returnId](data);
+        }
+    });
+    context.connect(channel.port2);
+    return {
+        port: channel.port1,
+        send: data => channel.port1.postMessage(data),
+        reply: callbackId => new Promise(resolve => {
+            waiting[callbackId] = resolve;
+        })
+    };
+};
+
+describe('Shared workers', function () {
+    let context = null;
+    let thread = null;
+    let tabs = [];
+
+    beforeEach(function () {
+        context = { closed: false, close() { this.closed = true; } };
+        thread = new ThreadPool(context, { environment: new SharedContextEnvironment() });
+        thread.registerCommand('whoami', threadId => threadId);
+        thread.registerCommand('wait', function () {
+            return new Promise((resolve, reject) => this.signal.addEventListener('abort', () => reject(new Error('cancelled'))));
+        });
+        tabs = [connectTab(context), connectTab(context)];
+        for (const tab of tabs) {
+            tab.send({ident: 'app:default:0'});
+        }
+    });
+
+    afterEach(function () {
+        for (const tab of tabs) {
+            tab.port.close();
+        }
+    });
+
+    it('treats every tab as a main thread of its own', async function () {
+        const replies = tabs.map((tab, idx) => {
+            const reply = tab.reply('cb' + idx);
+            tab.send({cmd: 'whoami', args: [], callbackId: 'cb' + idx, thread: 'master'});
+            return reply;
+        });
+        const [first, second] = (await Promise.all(replies)).map(reply => reply.data);
+        assert.deepStrictEqual(thread.getMasterIds().sort(), [first, second].sort());
+        assert.notStrictEqual(first, second);
+        assert.ok(first.indexOf('master:') === 0);
+        assert.strictEqual(thread.isMasterThread(first), true);
+    });
+
+    it('cancels the commands of a tab that disconnects, and closes once no tab is left', async function () {
+        const disconnected = [];
+        thread.addEventListener('master-disconnected', ({ id }) => disconnected.push(id));
+        tabs[0].send({cmd: 'wait', args: [], callbackId: 'cb', thread: 'master'});
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.strictEqual(Object.keys(thread.executing).length, 1);
+        tabs[0].send({disconnect: true});
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.strictEqual(Object.keys(thread.executing).length, 0);
+        assert.strictEqual(disconnected.length, 1);
+        assert.strictEqual(context.closed, false);
+        tabs[1].send({disconnect: true});
+        await new Promise(resolve => setTimeout(resolve, 20));
+        assert.strictEqual(thread.getMasterIds().length, 0);
+        assert.strictEqual(context.closed, true);
+    });
+});
+
+describe('Shared worker pools', function () {
+    it('need the URL of the worker script', function () {
+        assert.throws(() => new BrowserEnvironment().createSharedWorker(class {}, 'app:default:0'),
+            /URL of the worker script/);
+    });
+
+    it('have no shared objects', function () {
+        const environment = new BrowserEnvironment();
+        environment.holdLock = () => () => {};
+        environment.createSharedWorker = () => ({ port: { postMessage() {}, close() {} } });
+        environment.bindSharedWorker = () => {};
+        const pool = new WorkerPool('worker.js', 1, { environment, sharedWorkers: 'app' });
+        assert.throws(() => pool.createSharedCounter('hits'), /not available with shared workers/);
+        pool.terminate();
+    });
+});
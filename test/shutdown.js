@@ -0,0 +1,107 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { CommandError, PoolTerminatedError } from '../lib/Errors.js';
+
+describe('Draining and shutdown', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('rejects the commands left, and the ones sent after, when terminated', async function () {
+        pool = createPool(1);
+        await pool.ready();
+        const running = pool.sendCommand('sleep', [100]);
+        pool.terminate();
+        await assert.rejects(running, PoolTerminatedError);
+        await assert.rejects(pool.sendCommand('add', [1, 2]), PoolTerminatedError);
+        await assert.rejects(pool.ready(), PoolTerminatedError);
+    });
+
+    it('drains the running and queued commands, and rejects new ones', async function () {
+        pool = createPool(1, { maxConcurrentPerWorker: 1 });
+        await pool.ready();
+        const results = [];
+        pool.sendCommand('sleep', [50]).then(value => results.push(value));
+        pool.sendCommand('sleep', [10]).then(value => results.push(value));
+        const drained = pool.drain();
+        await assert.rejects(pool.sendCommand('add', [1, 2]), err => {
+            assert.ok(err instanceof CommandError);
+            assert.ok(!(err instanceof PoolTerminatedError));
+            return true;
+        });
+        await drained;
+        assert.deepStrictEqual(results, [50, 10]);
+        pool.resume();
+        assert.strictEqual(await pool.sendCommand('add', [1, 2]), 3);
+    });
+
+    it('terminates the pool once it is drained', async function () {
+        pool = createPool(2);
+        await pool.ready();
+        const running = pool.sendCommand('sleep', [50]);
+        await pool.shutdown();
+        assert.strictEqual(await running, 50);
+        assert.deepStrictEqual(Object.keys(pool.remotes), []);
+        await assert.rejects(pool.sendCommand('add', [1, 2]), PoolTerminatedError);
+    });
+
+    it('rejects the commands left when the shutdown times out', async function () {
+        pool = createPool(1);
+        await pool.ready();
+        const quick = pool.sendCommand('sleep', [10]);
+        const slow = pool.sendCommand('sleep', [1000]);
+        await pool.shutdown({ timeout: 50 });
+        assert.strictEqual(await quick, 10);
+        await assert.rejects(slow, PoolTerminatedError);
+    });
+
+    it('retires a worker once its commands have finished', async function () {
+        pool = createPool(2);
+        await pool.ready();
+        const [retired, other] = Object.keys(pool.remotes);
+        const running = pool.sendCommand('sleep', [50], { thread: retired });
+        const done = pool.retire(retired);
+        assert.ok(retired in pool.remotes);
+        assert.deepStrictEqual([await pool.sendCommand('id'), await pool.sendCommand('id')], [other, other]);
+        assert.strictEqual(await done, true);
+        assert.strictEqual(await running, 50);
+        assert.deepStrictEqual(Object.keys(pool.remotes), [other]);
+        assert.strictEqual(await pool.retire(retired), false);
+    });
+
+    it('replaces a retired worker', async function () {
+        pool = createPool(1);
+        await pool.ready();
+        const [retired] = Object.keys(pool.remotes);
+        await pool.retire(retired, { replace: true });
+        const ids = Object.keys(pool.remotes);
+        assert.strictEqual(ids.length, 1);
+        assert.notStrictEqual(ids[0], retired);
+        assert.strictEqual(await pool.sendCommand('add', [1, 2]), 3);
+    });
+
+    it('terminates a retiring worker after the timeout, rejecting its commands', async function () {
+        pool = createPool(2);
+        await pool.ready();
+        const [retired] = Object.keys(pool.remotes);
+        const running = pool.sendCommand('sleep', [1000], { thread: retired });
+        assert.strictEqual(await pool.retire(retired, { timeout: 50 }), true);
+        await assert.rejects(running);
+        assert.ok(!(retired in pool.remotes));
+    });
+});
@@ -0,0 +1,67 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+
+describe('Statistics', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('counts the commands sent, completed and failed on each worker', async function () {
+        pool = createPool(1);
+        await pool.ready();
+        const [id] = Object.keys(pool.remotes);
+        await pool.sendCommand('add', [1, 2]);
+        await assert.rejects(pool.sendCommand('fail', ['boom']));
+        const { workers, totals, queue } = pool.getStats();
+        for (const stats of [workers[id], totals]) {
+            assert.strictEqual(stats.sent, 2);
+            assert.strictEqual(stats.completed, 1);
+            assert.strictEqual(stats.failed, 1);
+            assert.strictEqual(stats.inFlight, 0);
+            assert.ok(stats.latency.max >= stats.latency.average);
+            assert.strictEqual(typeof stats.lastActivity, 'number');
+        }
+        assert.strictEqual(queue.pending, 0);
+    });
+
+    it('estimates the bytes of structured clones', async function () {
+        pool = createPool(1);
+        assert.strictEqual(pool.getStats().totals.bytesSent, 0);
+        await pool.sendCommand('echo', ['hello']);
+        const small = pool.getStats().totals.bytesSent;
+        assert.ok(small > 'hello'.length);
+        await pool.sendCommand('echo', ['hello'.repeat(100)]);
+        assert.ok(pool.getStats().totals.bytesSent - small >= 500);
+    });
+
+    it('counts the bytes of buffers, transferred or not', async function () {
+        pool = createPool(1);
+        await pool.sendCommand('echo', [new ArrayBuffer(64)]);
+        const copied = pool.getStats().totals.bytesSent;
+        assert.ok(copied >= 64);
+        const buffer = new ArrayBuffer(64);
+        await pool.sendCommand('echo', [buffer], { transfer: [buffer] });
+        assert.ok(pool.getStats().totals.bytesSent >= copied + 64);
+    });
+
+    it('counts the bytes of messages encoded by the codec', async function () {
+        pool = createPool(1, { codec: 'json' }, { codec: 'json' });
+        await pool.sendCommand('echo', ['hello']);
+        assert.ok(pool.getStats().totals.bytesSent > 0);
+    });
+});
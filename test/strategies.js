@@ -0,0 +1,83 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { LeastPendingStrategy, createStrategy, registerStrategy } from '../lib/BalanceStrategy.js';
+
+/**
+ * Run the id command a number of times, one after the other
+ * @param {WorkerPool} pool The pool
+ * @param {Number} times How many commands to send
+ * @returns {Promise} resolves with the ids of the workers that ran them
+ */
+const sendIds = async (pool, times) => {
+    const ids = [];
+    for (let i = 0; i < times; i++) {
+        ids.push(await pool.sendCommand('id'));
+    }
+    return ids;
+};
+
+describe('Load balancing strategies', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('takes turns between the workers by default', async function () {
+        pool = createPool(2);
+        await pool.ready();
+        const ids = await sendIds(pool, 4);
+        assert.strictEqual(new Set(ids).size, 2);
+        assert.strictEqual(ids[0], ids[2]);
+        assert.strictEqual(ids[1], ids[3]);
+    });
+
+    it('sends to the worker with the fewest outstanding commands', async function () {
+        pool = createPool(2, { strategy: 'least-pending' });
+        await pool.ready();
+        const [busy, idle] = Object.keys(pool.remotes);
+        const running = pool.sendCommand('sleep', [100], { thread: busy });
+        assert.deepStrictEqual(await sendIds(pool, 3), [idle, idle, idle]);
+        await running;
+    });
+
+    it('picks workers by weight', async function () {
+        pool = createPool(2);
+        await pool.ready();
+        const [heavy, light] = Object.keys(pool.remotes);
+        pool.setStrategy('weighted', { weights: { [heavy]: 3, [light]: 1 } });
+        const ids = await sendIds(pool, 8);
+        assert.strictEqual(ids.filter(id => id === heavy).length, 6);
+        assert.strictEqual(ids.filter(id => id === light).length, 2);
+    });
+
+    it('swaps in a custom strategy at runtime', async function () {
+        pool = createPool(2);
+        await pool.ready();
+        const last = Object.keys(pool.remotes).sort().pop();
+        pool.setStrategy(keys => keys.slice().sort().pop());
+        assert.deepStrictEqual(await sendIds(pool, 3), [last, last, last]);
+    });
+});
+
+describe('Strategy registry', function () {
+    it('creates strategies registered by name', function () {
+        registerStrategy('fewest', LeastPendingStrategy);
+        assert.ok(createStrategy('fewest') instanceof LeastPendingStrategy);
+        assert.throws(() => createStrategy('unknown'), /Unknown balance strategy/);
+        assert.throws(() => registerStrategy('broken', {}), TypeError);
+    });
+});
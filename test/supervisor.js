@@ -0,0 +1,116 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool, nextEvent } from './fixtures/pool.js';
+import { RemoteWorker } from '../lib/RemoteWorker.js';
+import { BrowserEnvironment } from '../lib/BrowserEnvironment.js';
+import { WorkerCrashedError } from '../lib/Errors.js';
+
+/**
+ * A browser environment with a fake worker, whose events are raised by the test
+ */
+class FakeEnvironment extends BrowserEnvironment {
+    createWorker() {
+        return { postMessage() {}, terminate() {} };
+    }
+
+    bindWorker(worker, listeners) {
+        this.listeners = listeners;
+    }
+}
+
+describe('Supervisor mode', function () {
+    let pool = null;
+
+    afterEach(function () {
+        if (pool) {
+            pool.terminate();
+            pool = null;
+        }
+    });
+
+    it('replaces a worker that exits', async function () {
+        pool = createPool(2, { supervise: { backoff: 10 } });
+        const [crashed, other] = await pool.ready();
+        const events = Promise.all([nextEvent(pool, 'worker-crashed'), nextEvent(pool, 'worker-restarted')]);
+        await assert.rejects(pool.sendCommand('crash', [], { thread: crashed }), err => {
+            assert.ok(err instanceof WorkerCrashedError);
+            assert.strictEqual(err.threadId, crashed);
+            return true;
+        });
+        const [crash, restart] = await events;
+        assert.strictEqual(crash.id, crashed);
+        assert.strictEqual(restart.id, crashed);
+        assert.strictEqual(restart.attempt, 1);
+        const ids = await pool.ready();
+        assert.deepStrictEqual(ids.slice().sort(), [other, restart.replacement].sort());
+        assert.strictEqual(await pool.sendCommand('askSibling', [1, 2], { thread: restart.replacement }), 3);
+    });
+
+    it('reports the uncaught error that stopped a worker', async function () {
+        pool = createPool(1, { supervise: { backoff: 10 } });
+        await pool.ready();
+        const crashed = nextEvent(pool, 'worker-crashed');
+        await pool.sendCommand('throwLater', ['uncaught']);
+        assert.strictEqual((await crashed).error.message, 'uncaught');
+    });
+
+    it('re-sends the in-flight commands of a crashed worker', async function () {
+        pool = createPool(1, { supervise: { backoff: 10 } });
+        const [id] = await pool.ready();
+        const sleeping = pool.sendCommand('sleep', [100]);
+        pool.sendCommand('crash', [], { thread: id }).catch(() => {});
+        assert.strictEqual(await sleeping, 100);
+    });
+
+    it('rejects the in-flight commands of a crashed worker without reroute', async function () {
+        pool = createPool(1, { supervise: { backoff: 10, reroute: false } });
+        const [id] = await pool.ready();
+        const sleeping = pool.sendCommand('sleep', [100]);
+        pool.sendCommand('crash', [], { thread: id }).catch(() => {});
+        await assert.rejects(sleeping, WorkerCrashedError);
+    });
+
+    it('stops restarting once the restart limit is reached', async function () {
+        pool = createPool(1, { supervise: { backoff: 10, maxRestarts: 1 } });
+        const [first] = await pool.ready();
+        const restarted = nextEvent(pool, 'worker-restarted');
+        pool.sendCommand('crash', [], { thread: first }).catch(() => {});
+        const { replacement } = await restarted;
+        await pool.ready();
+        const limit = nextEvent(pool, 'worker-restart-limit');
+        pool.sendCommand('crash', [], { thread: replacement }).catch(() => {});
+        assert.strictEqual((await limit).id, replacement);
+        assert.deepStrictEqual(Object.keys(pool.remotes), []);
+    });
+
+    it('only treats an uncaught error as a crash before the worker is ready', function () {
+        const environment = new FakeEnvironment();
+        const failures = [];
+        const errors = [];
+        const loading = new RemoteWorker('worker.js', environment);
+        loading.addEventListener('error', error => failures.push(error));
+        environment.listeners.error(new Error('load failed'));
+        assert.strictEqual(loading.failed, true);
+        assert.strictEqual(failures.length, 1);
+
+        const running = new RemoteWorker('worker.js', environment);
+        running.addEventListener('error', error => failures.push(error));
+        running.addEventListener('uncaught-error', error => errors.push(error));
+        running.acknowledge('ident');
+        environment.listeners.error(new Error('thrown in a timer'));
+        assert.strictEqual(running.failed, false);
+        assert.strictEqual(failures.length, 1);
+        assert.strictEqual(errors.length, 1);
+    });
+});
@@ -0,0 +1,63 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+import { AbortError, TimeoutError } from '../lib/Errors.js';
+
+describe('Timeouts and cancellation', function () {
+    let pool = null;
+
+    beforeEach(async function () {
+        pool = createPool(1);
+        await pool.ready();
+    });
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('rejects with a TimeoutError and cancels the command on the worker', async function () {
+        await assert.rejects(pool.sendCommand('sleep', [5000], { timeout: 50 }), err => {
+            assert.ok(err instanceof TimeoutError);
+            assert.strictEqual(err.timeout, 50);
+            return true;
+        });
+        assert.deepStrictEqual(Object.keys(pool.callbacks), []);
+        assert.strictEqual(await pool.sendCommand('cancelled'), 1);
+    });
+
+    it('resolves commands that finish before their timeout', async function () {
+        assert.strictEqual(await pool.sendCommand('sleep', [10], { timeout: 1000 }), 10);
+    });
+
+    it('rejects with an AbortError when the signal is aborted', async function () {
+        const controller = new AbortController();
+        const promise = pool.sendCommand('sleep', [5000], { signal: controller.signal });
+        setTimeout(() => controller.abort('stop'), 20);
+        await assert.rejects(promise, err => {
+            assert.ok(err instanceof AbortError);
+            assert.strictEqual(err.reason, 'stop');
+            return true;
+        });
+        assert.deepStrictEqual(Object.keys(pool.callbacks), []);
+        assert.strictEqual(await pool.sendCommand('cancelled'), 1);
+    });
+
+    it('rejects at once for a signal that is already aborted', async function () {
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(pool.sendCommand('add', [1, 2], { signal: controller.signal }), AbortError);
+        assert.deepStrictEqual(Object.keys(pool.callbacks), []);
+    });
+});
@@ -0,0 +1,73 @@
+/*
+ * This file is part of the client-workerpool module.
+ *
+ * (c) Anthony Matarazzo <email@anthonymatarazzo.com>
+ *
+ * For the full copyright and license information, please view the LICENSE
+ * file that was distributed with this source code.
+ */
+
+// node libs
+import assert from 'assert';
+
+// local libs
+import { createPool } from './fixtures/pool.js';
+
+describe('Transferables', function () {
+    let pool = null;
+
+    afterEach(function () {
+        pool.terminate();
+        pool = null;
+    });
+
+    it('copies arguments by default', async function () {
+        pool = createPool(1);
+        const buffer = new ArrayBuffer(16);
+        assert.strictEqual(await pool.sendCommand('byteLength', [buffer]), 16);
+        assert.strictEqual(buffer.byteLength, 16);
+    });
+
+    it('moves arguments wrapped with transfer()', async function () {
+        pool = createPool(1);
+        const buffer = new ArrayBuffer(16);
+        assert.strictEqual(await pool.sendCommand('byteLength', [pool.transfer(buffer)]), 16);
+        assert.strictEqual(buffer.byteLength, 0);
+    });
+
+    it('moves the objects listed in the transfer option', async function () {
+        pool = createPool(1);
+        const buffer = new ArrayBuffer(16);
+        assert.strictEqual(await pool.sendCommand('byteLength', [buffer], { transfer: [buffer] }), 16);
+        assert.strictEqual(buffer.byteLength, 0);
+    });
+
+    it('moves every transferable argument with autoTransfer', async function () {
+        pool = createPool(1, { autoTransfer: true });
+        const buffer = new ArrayBuffer(16);
+        assert.strictEqual(await pool.sendCommand('byteLength', [buffer]), 16);
+        assert.strictEqual(buffer.byteLength, 0);
+    });
+
+    it('receives results wrapped with transfer()', async function () {
+        pool = createPool(1);
+        const { buffer, length } = await pool.sendCommand('fill', [8, 7]);
+        assert.strictEqual(length, 8);
+        assert.deepStrictEqual(Array.from(new Uint8Array(buffer)), [7, 7, 7, 7, 7, 7, 7, 7]);
+    });
+
+    it('sends array results as they are', async function () {
+        pool = createPool(1);
+        const [{ buffer, length }, transferList] = await pool.sendCommand('fillTuple', [4, 1]);
+        assert.strictEqual(length, 4);
+        assert.strictEqual(transferList[0].byteLength, 4);
+        assert.strictEqual(buffer.byteLength, 4);
+    });
+
+    it('reads array results as [data, transferList] tuples with tupleResults', async function () {
+        pool = createPool(1, {}, { tupleResults: true });
+        const { buffer, length } = await pool.sendCommand('fillTuple', [4, 1]);
+        assert.strictEqual(length, 4);
+        assert.deepStrictEqual(Array.from(new Uint8Array(buffer)), [1, 1, 1, 1]);
+    });
+});